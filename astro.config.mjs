@@ -3,79 +3,92 @@ import { defineConfig } from 'astro/config';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'node:url';
+import { headersForFile, renderHeadersFile, renderNginxInclude } from './src/data/header-profiles.mjs';
+import { createStaticHandler } from './scripts/static-files.mjs';
+import { readMetadata } from './scripts/games-metadata.mjs';
 
 const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)));
 const PLAY_DIR = path.join(ROOT, 'play');
+const DOWNLOADS_DIR = path.join(ROOT, 'downloads');
 
 /**
- * Vite plugin: in dev, serve project-root play/ at /play/ so "Play Game" links work.
- * (Build/preview use dist/play -> play/ symlink from symlinkPlayInDist.)
+ * Games from games.yaml, or none if it is missing or unreadable (the pages report
+ * invalid metadata themselves).
+ * @returns {{ id: string, headers?: string }[]}
+ */
+function readGames() {
+  try {
+    return readMetadata().games ?? [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Vite plugin: in dev, serve project-root play/ at /play/ so "Play Game" links work,
+ * and downloads/ at /downloads/ for download buttons (MIME types, ranges, 304s and
+ * precompressed files; see scripts/static-files.mjs). Game files get the headers of
+ * the game's profile (COOP/COEP, Content-Encoding, ...; see header-profiles.mjs).
+ * (Build/preview use the dist/play and dist/downloads symlinks from symlinkGameFilesInDist.)
  */
 function servePlayInDev() {
-  const mime = {
-    '.html': 'text/html',
-    '.js': 'application/javascript',
-    '.css': 'text/css',
-    '.json': 'application/json',
-    '.png': 'image/png',
-    '.jpg': 'image/jpeg',
-    '.jpeg': 'image/jpeg',
-    '.gif': 'image/gif',
-    '.svg': 'image/svg+xml',
-    '.ico': 'image/x-icon',
-    '.woff': 'font/woff',
-    '.woff2': 'font/woff2',
-    '.webp': 'image/webp',
+  // play/<id>/... gets the headers profile of <id>
+  const gameHeaders = (relPath) => {
+    const gameId = relPath.split('/')[0];
+    return headersForFile(readGames().find((g) => g.id === gameId)?.headers, relPath);
   };
   return {
     name: 'serve-play-in-dev',
     apply: 'serve',
     configureServer(server) {
-      server.middlewares.use('/play', (req, res, next) => {
-        let urlPath = (req.url || '/').replace(/^\//, '').split('?')[0];
-        if (!urlPath || urlPath === 'play') urlPath = 'index.html';
-        const filePath = path.join(PLAY_DIR, decodeURIComponent(urlPath));
-        const resolved = path.resolve(filePath);
-        if (!resolved.startsWith(path.resolve(PLAY_DIR))) return next();
-        fs.stat(resolved, (err, stat) => {
-          if (err || !stat) return next();
-          if (stat.isDirectory()) {
-            const index = path.join(resolved, 'index.html');
-            fs.access(index, (err) => {
-              if (err) return next();
-              res.setHeader('Content-Type', 'text/html');
-              fs.createReadStream(index).pipe(res);
-            });
-            return;
-          }
-          const ext = path.extname(resolved).toLowerCase();
-          res.setHeader('Content-Type', mime[ext] || 'application/octet-stream');
-          fs.createReadStream(resolved).pipe(res);
-        });
-      });
+      server.middlewares.use('/play', createStaticHandler({ rootDir: PLAY_DIR, mountName: 'play', headersFor: gameHeaders }));
+      server.middlewares.use('/downloads', createStaticHandler({ rootDir: DOWNLOADS_DIR, mountName: 'downloads' }));
     },
   };
 }
 
 /**
- * Astro integration: after build, create dist/play as a symlink to project-root play/
- * so game HTML/assets are never copied into dist/ but /play/ still works when
- * serving from dist/ (e.g. local preview or a host that follows symlinks).
+ * Astro integration: after build, write the per-game header profiles as deploy
+ * artifacts: dist/_headers (Netlify / Cloudflare Pages) and dist/nginx-headers.conf.
+ * The nginx include serves /play/<id>/ with `root` set to DEPLOY_ROOT (the project
+ * directory on the server), defaulting to this project's path.
  */
-function symlinkPlayInDist() {
+function writeHeaderArtifacts() {
   return {
-    name: 'symlink-play-in-dist',
+    name: 'write-header-artifacts',
+    hooks: {
+      'astro:build:done': ({ dir }) => {
+        const outDir = fileURLToPath(dir);
+        const games = readGames();
+        fs.writeFileSync(path.join(outDir, '_headers'), renderHeadersFile(games));
+        fs.writeFileSync(path.join(outDir, 'nginx-headers.conf'), renderNginxInclude(games, process.env.DEPLOY_ROOT || ROOT));
+      },
+    },
+  };
+}
+
+/**
+ * Astro integration: after build, create dist/play and dist/downloads as symlinks to
+ * project-root play/ and downloads/ so game HTML/assets and download archives are never
+ * copied into dist/ but /play/ and /downloads/ still work when serving from dist/
+ * (e.g. local preview or a host that follows symlinks).
+ */
+function symlinkGameFilesInDist() {
+  return {
+    name: 'symlink-game-files-in-dist',
     hooks: {
       'astro:build:done': ({ dir }) => {
         const outDir = fileURLToPath(dir);
         const root = path.resolve(outDir, '..');
-        const playLink = path.join(outDir, 'play');
-        if (fs.existsSync(playLink)) {
-          fs.rmSync(playLink, { recursive: true });
+        for (const name of ['play', 'downloads']) {
+          const link = path.join(outDir, name);
+          if (fs.existsSync(link)) {
+            fs.rmSync(link, { recursive: true });
+          }
+          // Symlink dist/<name> -> <name>/ at project root (relative so it's portable)
+          const target = path.relative(outDir, path.join(root, name));
+          fs.symlinkSync(target, link, 'dir');
         }
-        // Symlink dist/play -> play/ at project root (relative so it's portable)
-        const target = path.relative(outDir, path.join(root, 'play'));
-        fs.symlinkSync(target, playLink, 'dir');
       },
     },
   };
@@ -83,7 +96,10 @@ function symlinkPlayInDist() {
 
 // https://astro.build/config
 export default defineConfig({
-  integrations: [symlinkPlayInDist()],
+  // Public URL of the site (e.g. https://games.example.com): canonical and share links,
+  // the sitemap and absolute links in the feeds
+  site: process.env.SITE_URL || undefined,
+  integrations: [symlinkGameFilesInDist(), writeHeaderArtifacts()],
   vite: {
     plugins: [servePlayInDev()],
   },
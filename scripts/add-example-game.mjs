@@ -15,13 +15,11 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ROOT = path.resolve(__dirname, '..');
 const ZIP_PATH = path.join(ROOT, 'example-game.zip');
 
-execSync(`node scripts/add-game.mjs example-game "${ZIP_PATH}" --version 1.0.0`, {
-  cwd: ROOT,
-  stdio: 'inherit',
-  env: {
-    ...process.env,
-    GAME_NAME: 'Example Game',
-    GAME_TYPE: 'html',
-    GAME_DESCRIPTION: 'A sample game for testing.',
-  },
-});
+execSync(
+  `node scripts/add-game.mjs example-game "${ZIP_PATH}" --version 1.0.0 ` +
+  '--name "Example Game" --type html --description "A sample game for testing." --yes',
+  {
+    cwd: ROOT,
+    stdio: 'inherit',
+  }
+);
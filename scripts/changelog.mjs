@@ -0,0 +1,79 @@
+/**
+ * changelog.mjs
+ *
+ * Changelog text for a version, recorded by add-game in the game's `versions`
+ * history: from --changelog (a file path or the text itself) or from a
+ * CHANGELOG.md at the root of the upload. When the file has one section per
+ * version ("## 1.2.0", "## [1.2.0] - 2026-03-01", "### v1.2.0"), only the
+ * section of the version being added is kept.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const CHANGELOG_FILE = /^changelog\.md$/i;
+const HEADING = /^(#{1,6})\s+(.*)$/;
+const VERSION_HEADING = /^\[?v?\d+(\.\d+)+/i;
+
+/**
+ * Text of a --changelog value: the contents of the file if it names one, else the value itself.
+ * @param {string} value
+ * @returns {string}
+ */
+export function readChangelogOption(value) {
+  const filePath = path.resolve(value);
+  if (fs.existsSync(filePath) && fs.statSync(filePath).isFile()) {
+    return fs.readFileSync(filePath, 'utf-8').trim();
+  }
+  return value.trim();
+}
+
+/**
+ * CHANGELOG.md at the root of dir (any case).
+ * @param {string} dir
+ * @returns {string | null}
+ */
+export function findChangelogFile(dir) {
+  if (!fs.existsSync(dir)) return null;
+  const name = fs.readdirSync(dir).find((f) => CHANGELOG_FILE.test(f) && fs.statSync(path.join(dir, f)).isFile());
+  return name ? path.join(dir, name) : null;
+}
+
+/**
+ * Whether a file path (relative, "/"-separated) is a root CHANGELOG.md; for dry runs on zip entries.
+ * @param {string} relPath
+ */
+export function isChangelogPath(relPath) {
+  return !relPath.includes('/') && CHANGELOG_FILE.test(relPath);
+}
+
+/**
+ * The part of a changelog that describes one version.
+ * @param {string} markdown
+ * @param {string} version
+ * @returns {string | null} The section's body; the whole text (without a leading
+ *   "# Changelog" title) when it has no version headings; null when it has
+ *   version headings but none for this version
+ */
+export function changelogForVersion(markdown, version) {
+  const lines = markdown.replace(/\r\n/g, '\n').split('\n');
+  const headings = lines
+    .map((line, index) => ({ index, match: line.match(HEADING) }))
+    .filter((h) => h.match)
+    .map(({ index, match }) => ({ index, level: match[1].length, text: match[2].trim() }));
+  const versionHeadings = headings.filter((h) => VERSION_HEADING.test(h.text));
+
+  if (versionHeadings.length === 0) {
+    const first = headings[0];
+    const isTitle = first && first.level === 1 && lines.slice(0, first.index).every((l) => l.trim() === '');
+    return (isTitle ? lines.slice(first.index + 1) : lines).join('\n').trim() || null;
+  }
+
+  const wanted = version.replace(/^v/i, '');
+  const escaped = wanted.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(`^\\[?v?${escaped}\\]?(?![\\w.-])`, 'i');
+  const start = versionHeadings.find((h) => pattern.test(h.text));
+  if (!start) return null;
+  const end = headings.find((h) => h.index > start.index && h.level <= start.level);
+  return lines.slice(start.index + 1, end ? end.index : lines.length).join('\n').trim() || null;
+}
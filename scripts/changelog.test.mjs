@@ -0,0 +1,43 @@
+/**
+ * Tests picking a version's notes out of a CHANGELOG.md.
+ * Run: node --test scripts/changelog.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { changelogForVersion, isChangelogPath } from './changelog.mjs';
+
+const KEEP_A_CHANGELOG = `# Changelog
+
+All notable changes to this game.
+
+## [1.2.0] - 2026-03-01
+### Added
+- The lighthouse level
+
+### Fixed
+- Save menu on mobile
+
+## [1.1.0] - 2026-02-01
+- Music volume slider
+
+## [1.10.0]
+- Not 1.1.0
+`;
+
+test('keeps only the section of the requested version', () => {
+  assert.strictEqual(
+    changelogForVersion(KEEP_A_CHANGELOG, '1.2.0'),
+    '### Added\n- The lighthouse level\n\n### Fixed\n- Save menu on mobile',
+  );
+  assert.strictEqual(changelogForVersion(KEEP_A_CHANGELOG, '1.1.0'), '- Music volume slider');
+  assert.strictEqual(changelogForVersion('### v2.0 (final)\r\nCredits\r\n', 'v2.0'), 'Credits');
+  assert.strictEqual(changelogForVersion(KEEP_A_CHANGELOG, '3.0.0'), null);
+});
+
+test('takes a changelog without version headings whole, minus its title', () => {
+  assert.strictEqual(changelogForVersion('# What changed\n\n- Faster loading\n', '1.0.0'), '- Faster loading');
+  assert.strictEqual(changelogForVersion('Faster loading.\n\n## Notes\nNone', '1.0.0'), 'Faster loading.\n\n## Notes\nNone');
+  assert.ok(isChangelogPath('Changelog.md'));
+  assert.ok(!isChangelogPath('docs/CHANGELOG.md'));
+});
@@ -11,9 +11,13 @@
  *   - dist/ (Astro build output)
  *   - .astro/ (Astro cache)
  *   - play/ (extracted games)
+ *   - downloads/ (downloadable builds)
  *   - public/images/ (game thumbnails)
  *   - src/data/games.yaml → reset to games: []
  *   - vendor/renpy/ (Ren'Py SDK, if present)
+ *   - .cache/ (Ren'Py web build cache)
+ *   - logs/ (Ren'Py build logs)
+ *   - .staging/ (add-game runs left for inspection)
  *
  * Usage:
  *   npm run clean
@@ -33,8 +37,12 @@ const PATHS_TO_REMOVE = [
   path.join(ROOT_DIR, 'dist'),
   path.join(ROOT_DIR, '.astro'),
   path.join(ROOT_DIR, 'play'),
+  path.join(ROOT_DIR, 'downloads'),
   path.join(ROOT_DIR, 'public', 'images'),
   path.join(ROOT_DIR, 'vendor', 'renpy'),
+  path.join(ROOT_DIR, '.cache'),
+  path.join(ROOT_DIR, 'logs'),
+  path.join(ROOT_DIR, '.staging'),
 ];
 
 const METADATA_FILE = path.join(ROOT_DIR, 'src', 'data', 'games.yaml');
@@ -0,0 +1,220 @@
+/**
+ * deploy-utils.mjs
+ *
+ * Building blocks of deploy.mjs: the list of files that make up a release, an
+ * incremental sync into the release directory driven by content hashes, and the
+ * server configuration for the release layout:
+ *
+ *   <release>/
+ *     site/                  document root: the built lobby with play/ and downloads/ inside
+ *     nginx.conf             server block for site/
+ *     nginx-headers.conf     per-game headers (header-profiles.mjs), included by nginx.conf
+ *     Caddyfile              the same for Caddy
+ *     .deploy-manifest.json  hash, size and source mtime of every synced file
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { renderCaddyHeaders } from '../src/data/header-profiles.mjs';
+import { sha256File } from './file-hash.mjs';
+
+export const MANIFEST_FILE = '.deploy-manifest.json';
+export const SITE_DIR = 'site';
+
+// Build output that is replaced in the release: game files are copied from their
+// real folders instead of the dist/ symlinks, and nginx-headers.conf is rendered
+// for the release's own paths.
+const DIST_SKIP = new Set(['play', 'downloads', 'nginx-headers.conf']);
+
+/**
+ * @typedef {object} ReleaseFile
+ * @property {string} rel - "/"-separated path in the release, e.g. site/play/my-game/1.0.0/index.html
+ * @property {string} src - Absolute source path
+ *
+ * @typedef {object} SyncResult
+ * @property {string[]} copied - Release paths written (new or changed)
+ * @property {number} unchanged - Files whose content hash matched the last deploy
+ * @property {string[]} removed - Release paths deleted because they are no longer part of the release
+ */
+
+/**
+ * Every file under dir, following symlinks (the builds are materialised).
+ * @param {string} dir
+ * @param {string} relPrefix - Release path of dir
+ * @param {ReleaseFile[]} out
+ * @param {(name: string) => boolean} [skipTopLevel]
+ */
+function collectDir(dir, relPrefix, out, skipTopLevel = () => false) {
+  const seen = new Set();
+  function walk(current, rel, top) {
+    const real = fs.realpathSync(current);
+    if (seen.has(real)) return;
+    seen.add(real);
+    for (const name of fs.readdirSync(current).sort()) {
+      if (top && skipTopLevel(name)) continue;
+      const src = path.join(current, name);
+      const stat = fs.statSync(src, { throwIfNoEntry: false });
+      if (!stat) continue; // dangling symlink
+      if (stat.isDirectory()) walk(src, `${rel}/${name}`, false);
+      else if (stat.isFile()) out.push({ rel: `${rel}/${name}`, src });
+    }
+  }
+  if (fs.existsSync(dir)) walk(dir, relPrefix, true);
+}
+
+/**
+ * Files of a release: dist/ plus the play/ and downloads/ folders of the games in
+ * the catalog (all kept versions).
+ * @param {{ distDir: string, playDir: string, downloadsDir: string, gameIds: string[] }} sources
+ * @returns {ReleaseFile[]}
+ */
+export function collectReleaseFiles({ distDir, playDir, downloadsDir, gameIds }) {
+  /** @type {ReleaseFile[]} */
+  const files = [];
+  collectDir(distDir, SITE_DIR, files, (name) => DIST_SKIP.has(name));
+  for (const id of gameIds) {
+    collectDir(path.join(playDir, id), `${SITE_DIR}/play/${id}`, files);
+    collectDir(path.join(downloadsDir, id), `${SITE_DIR}/downloads/${id}`, files);
+  }
+  return files;
+}
+
+function readManifest(releaseDir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(releaseDir, MANIFEST_FILE), 'utf-8')).files ?? {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Copy (or hard-link) src to dest through a temporary name, so a server never
+ * reads a half-written file.
+ */
+function placeFile(src, dest, link) {
+  fs.mkdirSync(path.dirname(dest), { recursive: true });
+  const tmp = `${dest}.deploy-tmp`;
+  fs.rmSync(tmp, { force: true });
+  let linked = false;
+  if (link) {
+    try {
+      fs.linkSync(src, tmp);
+      linked = true;
+    } catch {
+      // Different filesystem or no hard-link support: fall back to a copy
+    }
+  }
+  if (!linked) fs.copyFileSync(src, tmp);
+  fs.renameSync(tmp, dest);
+}
+
+/** Remove dir and its parents up to (not including) stopDir while they are empty. */
+function removeEmptyDirs(dir, stopDir) {
+  let current = dir;
+  while (current.startsWith(stopDir + path.sep) && fs.existsSync(current) && fs.readdirSync(current).length === 0) {
+    fs.rmdirSync(current);
+    current = path.dirname(current);
+  }
+}
+
+/**
+ * Bring targetDir up to date with files. A file is only written when its
+ * content hash differs from the last deploy's manifest (or it is missing); the
+ * hash is reused without reading the file when size and mtime are unchanged.
+ * Files from the last deploy that are no longer part of the release are removed.
+ * @param {ReleaseFile[]} files
+ * @param {string} targetDir - The release directory
+ * @param {{ link?: boolean, dryRun?: boolean }} [options] - link: hard-link instead of copying
+ * @returns {SyncResult}
+ */
+export function syncRelease(files, targetDir, { link = false, dryRun = false } = {}) {
+  const releaseDir = path.resolve(targetDir);
+  const previous = readManifest(releaseDir);
+  const next = {};
+  /** @type {SyncResult} */
+  const result = { copied: [], unchanged: 0, removed: [] };
+
+  for (const { rel, src } of files) {
+    const stat = fs.statSync(src);
+    const before = previous[rel];
+    const sha256 = before && before.size === stat.size && before.mtimeMs === stat.mtimeMs
+      ? before.sha256
+      : sha256File(src);
+    const dest = path.join(releaseDir, rel);
+    if (before?.sha256 === sha256 && fs.existsSync(dest)) {
+      result.unchanged++;
+    } else {
+      if (!dryRun) placeFile(src, dest, link);
+      result.copied.push(rel);
+    }
+    next[rel] = { sha256, size: stat.size, mtimeMs: stat.mtimeMs };
+  }
+
+  for (const rel of Object.keys(previous)) {
+    if (next[rel]) continue;
+    result.removed.push(rel);
+    if (dryRun) continue;
+    const dest = path.join(releaseDir, rel);
+    fs.rmSync(dest, { force: true });
+    removeEmptyDirs(path.dirname(dest), releaseDir);
+  }
+
+  if (!dryRun) {
+    fs.mkdirSync(releaseDir, { recursive: true });
+    fs.writeFileSync(path.join(releaseDir, MANIFEST_FILE), JSON.stringify({ files: next }, null, 2) + '\n');
+  }
+  return result;
+}
+
+/**
+ * nginx server block serving the release from rootDir (its path on the server).
+ * @param {{ rootDir: string, serverName?: string }} options
+ * @returns {string}
+ */
+export function renderNginxConfig({ rootDir, serverName = '_' }) {
+  return `# Generated by npm run deploy. Serves ${rootDir}/${SITE_DIR}; put this file (or a link to it)
+# in /etc/nginx/conf.d/ or sites-enabled/ and reload nginx.
+server {
+    listen 80;
+    server_name ${serverName};
+    root ${rootDir}/${SITE_DIR};
+    index index.html;
+
+    location / {
+        try_files $uri $uri/ =404;
+    }
+
+    location /play/ {
+        try_files $uri $uri/ =404;
+        location ~* \\.wasm$ {
+            types { }
+            default_type application/wasm;
+        }
+    }
+
+    # Per-game headers (Godot COOP/COEP, Unity Content-Encoding, ...)
+    include ${rootDir}/nginx-headers.conf;
+
+    location /downloads/ {
+        add_header Content-Disposition attachment;
+    }
+}
+`;
+}
+
+/**
+ * Caddyfile serving the release from rootDir (its path on the server).
+ * @param {{ rootDir: string, serverName?: string, games: { id: string, headers?: string }[] }} options
+ * @returns {string}
+ */
+export function renderCaddyfile({ rootDir, serverName = ':80', games }) {
+  return `# Generated by npm run deploy. Serves ${rootDir}/${SITE_DIR}.
+${serverName} {
+	root * ${rootDir}/${SITE_DIR}
+	file_server {
+		precompressed br gzip
+	}
+	header /downloads/* Content-Disposition attachment
+${renderCaddyHeaders(games)}}
+`;
+}
@@ -0,0 +1,75 @@
+/**
+ * Tests the release layout, incremental sync and server configs behind deploy.mjs.
+ * Run: node --test scripts/deploy-utils.test.mjs
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { collectReleaseFiles, syncRelease, renderNginxConfig, renderCaddyfile } from './deploy-utils.mjs';
+
+function withTmpDir(fn) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lofi-deploy-test-'));
+  try {
+    fn(tmpDir);
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+function write(filePath, content) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+}
+
+test('materialises play/ into the release and syncs only changed files', () => {
+  withTmpDir((tmpDir) => {
+    const distDir = path.join(tmpDir, 'dist');
+    const playDir = path.join(tmpDir, 'play');
+    const downloadsDir = path.join(tmpDir, 'downloads');
+    write(path.join(distDir, 'index.html'), '<h1>Lobby</h1>');
+    write(path.join(playDir, 'my-game', '1.0.0', 'index.html'), 'v1');
+    write(path.join(playDir, 'my-game', '1.0.0', 'game.js'), 'start();');
+    write(path.join(playDir, 'not-in-catalog', 'index.html'), 'stray');
+    write(path.join(downloadsDir, 'my-game', 'my-game-win.zip'), 'zip');
+    fs.symlinkSync(path.relative(distDir, playDir), path.join(distDir, 'play'), 'dir');
+    const sources = { distDir, playDir, downloadsDir, gameIds: ['my-game'] };
+
+    const releaseDir = path.join(tmpDir, 'release');
+    const first = syncRelease(collectReleaseFiles(sources), releaseDir);
+    assert.deepStrictEqual(first.copied.sort(), [
+      'site/downloads/my-game/my-game-win.zip',
+      'site/index.html',
+      'site/play/my-game/1.0.0/game.js',
+      'site/play/my-game/1.0.0/index.html',
+    ]);
+    const played = path.join(releaseDir, 'site', 'play');
+    assert.ok(!fs.lstatSync(played).isSymbolicLink(), 'play/ should be a real directory');
+    assert.strictEqual(fs.readFileSync(path.join(played, 'my-game', '1.0.0', 'index.html'), 'utf-8'), 'v1');
+
+    // Same content with a new mtime is not copied again; a changed and a removed file are
+    fs.utimesSync(path.join(distDir, 'index.html'), new Date(), new Date(Date.now() + 5000));
+    write(path.join(playDir, 'my-game', '1.0.0', 'index.html'), 'v1 fixed');
+    fs.rmSync(path.join(playDir, 'my-game', '1.0.0', 'game.js'));
+    const second = syncRelease(collectReleaseFiles(sources), releaseDir);
+    assert.deepStrictEqual(second.copied, ['site/play/my-game/1.0.0/index.html']);
+    assert.deepStrictEqual(second.removed, ['site/play/my-game/1.0.0/game.js']);
+    assert.strictEqual(second.unchanged, 2);
+    assert.ok(!fs.existsSync(path.join(played, 'my-game', '1.0.0', 'game.js')));
+  });
+});
+
+test('renders nginx and Caddy configs for the release root', () => {
+  const nginx = renderNginxConfig({ rootDir: '/srv/lobby', serverName: 'games.example.com' });
+  assert.match(nginx, /server_name games\.example\.com;/);
+  assert.match(nginx, /root \/srv\/lobby\/site;/);
+  assert.match(nginx, /include \/srv\/lobby\/nginx-headers\.conf;/);
+  assert.doesNotMatch(nginx, /alias/);
+
+  const caddy = renderCaddyfile({ rootDir: '/srv/lobby', games: [{ id: 'space', headers: 'godot' }] });
+  assert.match(caddy, /^:80 \{$/m);
+  assert.match(caddy, /root \* \/srv\/lobby\/site/);
+  assert.match(caddy, /header \/play\/space\/\* \{\n\t\tCross-Origin-Opener-Policy "same-origin"/);
+});
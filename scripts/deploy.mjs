@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+
+/**
+ * deploy.mjs
+ *
+ * Builds the site and writes a self-contained release: the lobby from dist/
+ * with every catalogued game's play/ and downloads/ folders copied (or
+ * hard-linked with --link) inside it instead of symlinked, plus an nginx and a
+ * Caddy config for that layout (see deploy-utils.mjs):
+ *
+ *   <target>/site/  <target>/nginx.conf  <target>/nginx-headers.conf  <target>/Caddyfile
+ *
+ * Deploying to the same --target again is incremental: only files whose content
+ * hash changed are copied, and files that left the release are removed.
+ * --tarball packs the release into a .tgz (from --target, or from a temporary
+ * directory). The configs use --root as the release's path on the server
+ * (default: the --target path).
+ *
+ * Usage:
+ *   npm run deploy -- --target <dir> [--tarball <file.tgz>] [--root <server-path>]
+ *                     [--server-name <host>] [--link] [--skip-build] [--dry-run]
+ *
+ * Examples:
+ *   npm run deploy -- --target /var/www/lofi-lobby
+ *   npm run deploy -- --target /var/www/lofi-lobby --link --server-name games.example.com
+ *   npm run deploy -- --tarball release.tgz --root /var/www/lofi-lobby
+ *   npm run deploy -- --target ./release --skip-build --dry-run
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { execFileSync, execSync } from 'child_process';
+import { renderNginxInclude } from '../src/data/header-profiles.mjs';
+import {
+  SITE_DIR,
+  collectReleaseFiles,
+  syncRelease,
+  renderNginxConfig,
+  renderCaddyfile,
+} from './deploy-utils.mjs';
+import { METADATA_FILE, readMetadata } from './games-metadata.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT_DIR = path.resolve(__dirname, '..');
+const DIST_DIR = path.join(ROOT_DIR, 'dist');
+const GAMES_DIR = path.join(ROOT_DIR, 'play');
+const DOWNLOADS_DIR = path.join(ROOT_DIR, 'downloads');
+const DEFAULT_SERVER_ROOT = '/var/www/lofi-lobby';
+
+const colors = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m',
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function error(message) {
+  console.error(`${colors.red}Error: ${message}${colors.reset}`);
+  process.exit(1);
+}
+
+function parseArgs(args) {
+  const parsed = {
+    target: null,
+    tarball: null,
+    root: null,
+    serverName: null,
+    link: false,
+    skipBuild: false,
+    dryRun: false,
+  };
+  const valueFlags = {
+    '--target': 'target',
+    '--tarball': 'tarball',
+    '--root': 'root',
+    '--server-name': 'serverName',
+  };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (valueFlags[arg]) {
+      if (i + 1 >= args.length) error(`${arg} needs a value`);
+      parsed[valueFlags[arg]] = args[++i];
+    } else if (arg === '--link') {
+      parsed.link = true;
+    } else if (arg === '--skip-build') {
+      parsed.skipBuild = true;
+    } else if (arg === '--dry-run') {
+      parsed.dryRun = true;
+    } else {
+      error(`Unknown argument: ${arg}`);
+    }
+  }
+  return parsed;
+}
+
+function printUsage() {
+  log('Usage: npm run deploy -- --target <dir> [--tarball <file.tgz>] [--root <server-path>]', 'yellow');
+  log('         [--server-name <host>] [--link] [--skip-build] [--dry-run]', 'yellow');
+  log('');
+  log('Examples:', 'cyan');
+  log('  npm run deploy -- --target /var/www/lofi-lobby');
+  log('  npm run deploy -- --tarball release.tgz --root /var/www/lofi-lobby');
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.target && !options.tarball) {
+    printUsage();
+    process.exit(1);
+  }
+
+  if (options.dryRun) {
+    log('DRY RUN MODE - No changes will be made', 'yellow');
+    log('');
+  }
+
+  if (!options.skipBuild) {
+    log('Building the site...', 'cyan');
+    try {
+      execSync('npm run build', { cwd: ROOT_DIR, stdio: 'inherit' });
+    } catch {
+      error('Build failed; nothing was deployed.');
+    }
+  }
+  if (!fs.existsSync(path.join(DIST_DIR, 'index.html'))) {
+    error(`No build in ${path.relative(ROOT_DIR, DIST_DIR)}/. Run npm run build (or drop --skip-build).`);
+  }
+
+  let games;
+  try {
+    games = readMetadata().games ?? [];
+  } catch (err) {
+    error(`Failed to read ${path.relative(ROOT_DIR, METADATA_FILE)}: ${err.message}`);
+  }
+  const files = collectReleaseFiles({
+    distDir: DIST_DIR,
+    playDir: GAMES_DIR,
+    downloadsDir: DOWNLOADS_DIR,
+    gameIds: games.map((g) => g.id),
+  });
+
+  const releaseDir = options.target
+    ? path.resolve(options.target)
+    : fs.mkdtempSync(path.join(os.tmpdir(), 'lofi-release-'));
+  const serverRoot = (options.root ?? (options.target ? releaseDir : DEFAULT_SERVER_ROOT)).replace(/\/+$/, '');
+  if (!options.root && !options.target) {
+    log(`No --root given: the configs assume the release is unpacked in ${DEFAULT_SERVER_ROOT}`, 'yellow');
+  }
+
+  try {
+    log(`Release: ${releaseDir}${options.link ? ' (hard links)' : ''}`, 'cyan');
+    const result = syncRelease(files, releaseDir, { link: options.link, dryRun: options.dryRun });
+    const verb = options.dryRun ? 'Would copy' : 'Copied';
+    log(`${verb} ${result.copied.length} file(s), ${result.unchanged} unchanged, ${result.removed.length} removed`, 'green');
+    // Hashed build assets change on every build; list the files people recognise
+    const shown = result.copied.filter((r) => !r.startsWith(`${SITE_DIR}/_astro/`)).slice(0, 20);
+    for (const rel of shown) log(`  + ${rel}`);
+    if (result.copied.length > shown.length) log(`  ... and ${result.copied.length - shown.length} more`);
+    for (const rel of result.removed) log(`  - ${rel}`);
+
+    const configs = {
+      'nginx.conf': renderNginxConfig({ rootDir: serverRoot, serverName: options.serverName ?? undefined }),
+      'nginx-headers.conf': renderNginxInclude(games, `${serverRoot}/${SITE_DIR}`),
+      'Caddyfile': renderCaddyfile({ rootDir: serverRoot, serverName: options.serverName ?? undefined, games }),
+    };
+    for (const [name, content] of Object.entries(configs)) {
+      if (!options.dryRun) fs.writeFileSync(path.join(releaseDir, name), content);
+      log(`${options.dryRun ? 'Would write' : 'Wrote'} ${name} (root ${serverRoot}/${SITE_DIR})`, 'green');
+    }
+
+    if (options.tarball) {
+      const tarball = path.resolve(options.tarball);
+      if (!options.dryRun) {
+        fs.mkdirSync(path.dirname(tarball), { recursive: true });
+        try {
+          execFileSync('tar', ['-czf', tarball, '-C', releaseDir, '.'], { stdio: 'inherit' });
+        } catch (err) {
+          error(`Failed to create ${tarball}: ${err.message}`);
+        }
+      }
+      log(`${options.dryRun ? 'Would pack' : 'Packed'} the release into ${tarball}`, 'green');
+    }
+  } finally {
+    if (!options.target) fs.rmSync(releaseDir, { recursive: true, force: true });
+  }
+
+  log('');
+  log('Next steps:', 'cyan');
+  if (options.tarball && !options.target) log(`  - Unpack the tarball into ${serverRoot} on the server`);
+  log(`  - nginx: ln -s ${serverRoot}/nginx.conf /etc/nginx/conf.d/lofi-lobby.conf && nginx -s reload`);
+  log(`  - Caddy: caddy run --config ${serverRoot}/Caddyfile (or import it from your Caddyfile)`);
+}
+
+main();
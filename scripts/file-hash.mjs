@@ -0,0 +1,29 @@
+/**
+ * file-hash.mjs
+ *
+ * SHA-256 of files on disk, shared by add-game (download checksums), deploy
+ * (incremental sync) and install-renpy (archive checks).
+ */
+
+import fs from 'fs';
+import crypto from 'crypto';
+
+/**
+ * SHA-256 of a file, read in chunks so large archives are not loaded into memory.
+ * @param {string} filePath
+ * @returns {string} Hex digest
+ */
+export function sha256File(filePath) {
+  const hash = crypto.createHash('sha256');
+  const fd = fs.openSync(filePath, 'r');
+  const buf = Buffer.alloc(1024 * 1024);
+  try {
+    let bytesRead;
+    while ((bytesRead = fs.readSync(fd, buf, 0, buf.length, null)) > 0) {
+      hash.update(buf.subarray(0, bytesRead));
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  return hash.digest('hex');
+}
@@ -4,7 +4,9 @@
  */
 
 import { execSync } from 'child_process';
+import crypto from 'crypto';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { test } from 'node:test';
@@ -62,25 +64,318 @@ test('add example game then remove it', async () => {
 
   assert.ok(fs.existsSync(gameDir()), 'play/example-game/ should exist');
   assert.ok(
-    fs.existsSync(path.join(gameDir(), 'index.html')),
-    'index.html should exist in game dir'
+    fs.existsSync(path.join(gameDir(), '1.0.0', 'index.html')),
+    'index.html should exist in the play/example-game/1.0.0/ version dir'
   );
 
-  const thumbPath = path.join(THUMBNAILS_DIR, `${GAME_ID}.png`);
-  assert.ok(fs.existsSync(thumbPath), 'thumbnail public/images/games/example-game.png should exist');
+  const thumbDir = path.join(THUMBNAILS_DIR, GAME_ID);
+  // The example image is 1024px wide, so no 1280px cover (covers are never upscaled)
+  for (const file of ['cover-320.jpg', 'cover-320.webp', 'cover-640.jpg', 'cover-640.webp']) {
+    assert.ok(fs.existsSync(path.join(thumbDir, file)), `cover public/images/games/example-game/${file} should exist`);
+  }
 
   const metaAfterAdd = readMetadata();
   const entry = metaAfterAdd.games.find((g) => g.id === GAME_ID);
   assert.ok(entry, 'games.yaml should contain example-game');
+  assert.strictEqual(entry.thumbnail, '/images/games/example-game/cover-640.jpg');
+  assert.deepStrictEqual(entry.thumbnailWidths, [320, 640]);
   assert.strictEqual(entry.entryPoint, 'index.html');
   assert.strictEqual(entry.version, '1.0.0');
+  assert.deepStrictEqual(entry.versions.map((v) => v.version), ['1.0.0']);
 
   runRemoveGame();
 
   assert.ok(!fs.existsSync(gameDir()), 'play/example-game/ should be removed');
-  assert.ok(!fs.existsSync(thumbPath), 'thumbnail should be removed');
+  assert.ok(!fs.existsSync(thumbDir), 'cover images should be removed');
 
   const metaAfterRemove = readMetadata();
   const stillThere = metaAfterRemove.games.some((g) => g.id === GAME_ID);
   assert.ok(!stillThere, 'games.yaml should no longer contain example-game');
 });
+
+test('add download-only game with --download then remove it', async () => {
+  const gameId = 'example-download-game';
+  const downloadDir = path.join(ROOT, 'downloads', gameId);
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lofi-download-test-'));
+  const archivePath = path.join(tmpDir, 'example-win.zip');
+  fs.writeFileSync(archivePath, 'not really a zip');
+
+  try {
+    if (readMetadata().games.some((g) => g.id === gameId)) {
+      execSync(`node scripts/remove-game.mjs ${gameId}`, { cwd: ROOT, encoding: 'utf-8' });
+    }
+
+    execSync(`node scripts/add-game.mjs ${gameId} --version 1.0.0 --download windows="${archivePath}"`, {
+      cwd: ROOT,
+      encoding: 'utf-8',
+      env: { ...process.env, GAME_NAME: 'Example Download Game', GAME_TYPE: 'download-only', GAME_DESCRIPTION: 'Download only.' },
+    });
+
+    assert.ok(fs.existsSync(path.join(downloadDir, 'example-win.zip')), 'archive should be copied to downloads/');
+    const entry = readMetadata().games.find((g) => g.id === gameId);
+    assert.ok(entry, 'games.yaml should contain the download-only game');
+    assert.strictEqual(entry.playable, false);
+    assert.strictEqual(entry.thumbnail, '/images/games/example-download-game/cover.svg', 'a placeholder cover should be written');
+    assert.match(fs.readFileSync(path.join(THUMBNAILS_DIR, gameId, 'cover.svg'), 'utf-8'), /Example Download Game/);
+    assert.deepStrictEqual(entry.downloads, [{
+      platform: 'windows',
+      file: 'example-win.zip',
+      size: 16,
+      sha256: crypto.createHash('sha256').update('not really a zip').digest('hex'),
+    }]);
+
+    execSync(`node scripts/remove-game.mjs ${gameId}`, { cwd: ROOT, encoding: 'utf-8' });
+    assert.ok(!fs.existsSync(downloadDir), 'downloads/<id>/ should be removed');
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
+
+test('non-interactive add-game fails on missing answers and prints a JSON summary', async () => {
+  const gameId = 'example-ci-game';
+  const exec = (flags) => execSync(`node scripts/add-game.mjs ${gameId} "${ZIP_PATH}" ${flags}`, {
+    cwd: ROOT,
+    encoding: 'utf-8',
+    stdio: 'pipe',
+    env: { ...process.env, GAME_NAME: undefined, GAME_TYPE: undefined, GAME_DESCRIPTION: undefined },
+  });
+
+  try {
+    assert.throws(() => exec('--yes'), /pass --version/);
+    assert.throws(() => exec('--yes --version 1.0.0'), /pass --name/);
+    assert.throws(() => exec('--yes --version 1.0.0 --download'), /--download needs a value/);
+    assert.throws(() => exec('--yes --version 1.0.0 --name "CI Game" --desciption "Typo."'), /Unknown argument: --desciption/);
+    // Env answers follow the same rule: no prompt, no made-up name
+    assert.throws(() => execSync(`node scripts/add-game.mjs ${gameId} "${ZIP_PATH}" --version 1.0.0`, {
+      cwd: ROOT,
+      encoding: 'utf-8',
+      stdio: 'pipe',
+      env: { ...process.env, GAME_NAME: undefined, GAME_TYPE: 'html', GAME_DESCRIPTION: undefined },
+    }), /pass --name or set GAME_NAME/);
+    assert.ok(!readMetadata().games.some((g) => g.id === gameId), 'nothing should be written on error');
+
+    const output = exec('--non-interactive --json --version 1.0.0 --name "CI Game" --description "Built in CI." --entry index.html');
+    const summary = JSON.parse(output);
+    assert.strictEqual(summary.gameId, gameId);
+    assert.strictEqual(summary.created, true);
+    assert.strictEqual(summary.entryPoint, 'index.html');
+    assert.strictEqual(summary.game.name, 'CI Game');
+    assert.strictEqual(summary.game.type, 'html');
+  } finally {
+    if (readMetadata().games.some((g) => g.id === gameId)) {
+      execSync(`node scripts/remove-game.mjs ${gameId}`, { cwd: ROOT, encoding: 'utf-8' });
+    }
+  }
+});
+
+test('add-game reads lofi.yaml from the upload and flags override it', async () => {
+  const gameId = 'example-manifest-game';
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lofi-manifest-test-'));
+  const gameSrc = path.join(tmpDir, 'manifest-game');
+  fs.mkdirSync(path.join(gameSrc, 'builds'), { recursive: true });
+  fs.writeFileSync(path.join(gameSrc, 'index.html'), '<!doctype html><title>Manifest</title>');
+  fs.writeFileSync(path.join(gameSrc, 'builds', 'manifest-win.zip'), 'windows build');
+  fs.writeFileSync(path.join(gameSrc, 'lofi.yaml'), [
+    'name: Manifest Game',
+    'description: Described by its manifest.',
+    'version: 2.1.0',
+    'type: html',
+    'tags: [Puzzle, jam]',
+    'downloads:',
+    '  windows: builds/manifest-win.zip',
+  ].join('\n'));
+
+  try {
+    const output = execSync(`node scripts/add-game.mjs ${gameId} "${tmpDir}" --name "Flag Name" --yes --json`, {
+      cwd: ROOT,
+      encoding: 'utf-8',
+      stdio: 'pipe',
+      env: { ...process.env, GAME_NAME: undefined, GAME_TYPE: undefined, GAME_DESCRIPTION: undefined },
+    });
+    const { game, playDir } = JSON.parse(output);
+    assert.strictEqual(game.name, 'Flag Name', '--name should win over the manifest');
+    assert.strictEqual(game.description, 'Described by its manifest.');
+    assert.strictEqual(game.version, '2.1.0');
+    assert.deepStrictEqual(game.tags, ['puzzle', 'jam']);
+    assert.deepStrictEqual(game.downloads.map((d) => [d.platform, d.file]), [['windows', 'manifest-win.zip']]);
+    assert.ok(fs.existsSync(path.join(ROOT, 'downloads', gameId, 'manifest-win.zip')), 'download should be moved to downloads/');
+    assert.ok(!fs.existsSync(path.join(ROOT, playDir, 'builds', 'manifest-win.zip')), 'download should not stay in play/');
+  } finally {
+    if (readMetadata().games.some((g) => g.id === gameId)) {
+      execSync(`node scripts/remove-game.mjs ${gameId}`, { cwd: ROOT, encoding: 'utf-8' });
+    }
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
+
+test('add-game builds the gallery from screenshots/ and --screenshot', async () => {
+  const gameId = 'example-media-game';
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lofi-media-test-'));
+  const gameSrc = path.join(tmpDir, 'media-game');
+  fs.mkdirSync(path.join(gameSrc, 'screenshots'), { recursive: true });
+  fs.writeFileSync(path.join(gameSrc, 'index.html'), '<!doctype html><title>Media</title>');
+  const { default: sharp } = await import('sharp');
+  const image = (color) => sharp({ create: { width: 640, height: 360, channels: 3, background: color } });
+  await image('#224').png().toFile(path.join(gameSrc, 'screenshots', '2-boss_fight.png'));
+  await image('#422').jpeg().toFile(path.join(gameSrc, 'screenshots', 'trailer.jpg'));
+  fs.writeFileSync(path.join(gameSrc, 'screenshots', 'trailer.webm'), 'not really a video');
+  await image('#242').gif().toFile(path.join(tmpDir, 'walk.gif'));
+  const mediaDir = path.join(THUMBNAILS_DIR, gameId, 'media');
+
+  try {
+    const output = execSync(`node scripts/add-game.mjs ${gameId} "${gameSrc}" --version 1.0.0 --name Media --description d --yes --json --screenshot "${path.join(tmpDir, 'walk.gif')}"`, {
+      cwd: ROOT,
+      encoding: 'utf-8',
+      stdio: 'pipe',
+    });
+    const { game, playDir } = JSON.parse(output);
+    const site = (name) => `/images/games/${gameId}/media/${name}`;
+    assert.deepStrictEqual(game.media, [
+      { type: 'image', src: site('2-boss_fight.png'), preview: site('2-boss_fight-preview.webp'), width: 640, height: 360, alt: 'Boss fight' },
+      { type: 'video', src: site('trailer.webm'), poster: site('trailer.jpg'), preview: site('trailer-preview.webp'), width: 640, height: 360, alt: 'Trailer' },
+      { type: 'image', src: site('walk.gif'), preview: site('walk-preview.webp'), width: 640, height: 360, alt: 'Walk' },
+    ]);
+    assert.ok(!fs.existsSync(path.join(ROOT, playDir, 'screenshots')), 'screenshots/ should not stay in play/');
+    assert.strictEqual(game.thumbnail, `/images/games/${gameId}/cover-640.jpg`, 'the first screenshot should make the cover');
+
+    // An upload without screenshots and with a new cover leaves the gallery alone
+    fs.rmSync(path.join(gameSrc, 'screenshots'), { recursive: true });
+    execSync(`node scripts/add-game.mjs ${gameId} "${gameSrc}" --version 1.1.0 --yes --thumbnail "${path.join(tmpDir, 'walk.gif')}"`, { cwd: ROOT, stdio: 'pipe' });
+    assert.strictEqual(readMetadata().games.find((g) => g.id === gameId).media.length, 3);
+    assert.ok(fs.existsSync(path.join(mediaDir, 'trailer.webm')));
+  } finally {
+    if (readMetadata().games.some((g) => g.id === gameId)) {
+      execSync(`node scripts/remove-game.mjs ${gameId}`, { cwd: ROOT, encoding: 'utf-8' });
+    }
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+  assert.ok(!fs.existsSync(mediaDir), 'remove-game should delete the gallery');
+});
+
+test('add-game picks the Ren\'Py version per game and names the SDK to install', async () => {
+  const gameId = 'example-renpy-version-game';
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lofi-renpy-version-test-'));
+  const projectDir = path.join(tmpDir, 'vn');
+  fs.mkdirSync(path.join(projectDir, 'game'), { recursive: true });
+  fs.writeFileSync(path.join(projectDir, 'game', 'script.rpy'), 'label start:\n    "Hello"\n');
+  fs.writeFileSync(path.join(projectDir, 'game', 'script_version.txt'), '(0, 9, 1, 23091805)');
+  const exec = (flags = '') => execSync(`node scripts/add-game.mjs ${gameId} "${tmpDir}" --version 1.0.0 --name VN --description d --yes ${flags}`, {
+    cwd: ROOT,
+    encoding: 'utf-8',
+    stdio: 'pipe',
+  });
+
+  try {
+    assert.throws(() => exec(), /Ren'Py 0\.9\.1 \(from game\/script_version\.txt\) is not installed\. Run: npm run install:renpy -- --version 0\.9\.1 --web/);
+    fs.writeFileSync(path.join(projectDir, 'lofi.yaml'), 'renpyVersion: 0.9\n');
+    assert.throws(() => exec(), /Ren'Py 0\.9 \(from lofi\.yaml\) is not installed/);
+    assert.throws(() => exec('--renpy-version 0.9.2'), /Ren'Py 0\.9\.2 \(from --renpy-version\) is not installed/);
+    assert.throws(() => exec('--renpy-version latest'), /Invalid --renpy-version "latest"/);
+    assert.ok(!readMetadata().games.some((g) => g.id === gameId), 'nothing should be written on error');
+  } finally {
+    if (readMetadata().games.some((g) => g.id === gameId)) {
+      execSync(`node scripts/remove-game.mjs ${gameId}`, { cwd: ROOT, encoding: 'utf-8' });
+    }
+    fs.rmSync(path.join(GAMES_DIR, gameId), { recursive: true, force: true });
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
+
+test('a failed Ren\'Py build leaves its logs and a summary of the error', { skip: process.platform === 'win32' && 'uses a shell script as the Ren\'Py launcher' }, async () => {
+  const gameId = 'example-renpy-failing-game';
+  const sdkRoot = path.join(ROOT, 'vendor', 'renpy', 'renpy-0.0.1');
+  const logsDir = path.join(ROOT, 'logs', 'add-game');
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lofi-renpy-logs-test-'));
+  const projectDir = path.join(tmpDir, 'vn');
+  fs.mkdirSync(path.join(projectDir, 'game'), { recursive: true });
+  fs.writeFileSync(path.join(projectDir, 'game', 'script.rpy'), 'label start:\n    $ score = 1 / 0\n');
+  fs.writeFileSync(path.join(projectDir, 'errors.txt'), 'File "game/old.rpy", line 1: from an earlier run');
+  // A stand-in launcher that fails the way Ren'Py does: traceback.txt in the project, non-zero exit
+  fs.mkdirSync(path.join(sdkRoot, 'web'), { recursive: true });
+  fs.writeFileSync(path.join(sdkRoot, 'renpy.sh'), [
+    '#!/bin/sh',
+    'for project; do :; done',
+    'echo "Building $project"',
+    'printf \'I\'"\'"\'m sorry, but an uncaught exception occurred.\\n\\nWhile running game code:\\n  File "game/script.rpy", line 2, in script\\n    $ score = 1 / 0\\nZeroDivisionError: division by zero\\n\\n-- Full Traceback --\\n\' > "$project/traceback.txt"',
+    'exit 1',
+  ].join('\n'), { mode: 0o755 });
+  const exec = (flags = '') => execSync(`node scripts/add-game.mjs ${gameId} "${tmpDir}" --version 1.0.0 --name VN --description d --yes --renpy-version 0.0.1 ${flags}`, {
+    cwd: ROOT,
+    encoding: 'utf-8',
+    stdio: 'pipe',
+  });
+  const runLogDirs = () => (fs.existsSync(logsDir) ? fs.readdirSync(logsDir).filter((d) => d.startsWith(`${gameId}-`)) : []);
+
+  try {
+    assert.throws(() => exec(), (err) => {
+      assert.match(err.stderr, /Ren'Py build failed \(exit code 1\)/);
+      assert.match(err.stderr, /game\/script\.rpy:2: ZeroDivisionError: division by zero/);
+      assert.match(err.stderr, /Logs: logs\/add-game\/example-renpy-failing-game-.+\/ \(build\.log, traceback\.txt\)/);
+      return true;
+    });
+    const [logDir] = runLogDirs().map((d) => path.join(logsDir, d));
+    assert.match(fs.readFileSync(path.join(logDir, 'build.log'), 'utf-8'), /Building .*example-renpy-failing-game/);
+    assert.ok(fs.existsSync(path.join(logDir, 'traceback.txt')));
+    assert.ok(!fs.existsSync(path.join(logDir, 'errors.txt')), 'error files from earlier runs should not be collected');
+    assert.ok(!fs.existsSync(path.join(logDir, 'project')));
+    assert.ok(!fs.existsSync(path.join(GAMES_DIR, gameId, '1.0.0')), 'the extracted project should be removed');
+
+    assert.throws(() => exec('--keep-failed'), /Extracted project kept in logs\/add-game\//);
+    const kept = runLogDirs().map((d) => path.join(logsDir, d, 'project')).filter((p) => fs.existsSync(p));
+    assert.strictEqual(kept.length, 1);
+    assert.ok(fs.existsSync(path.join(kept[0], 'game', 'script.rpy')));
+    assert.ok(!readMetadata().games.some((g) => g.id === gameId), 'nothing should be written on error');
+  } finally {
+    for (const dir of runLogDirs()) fs.rmSync(path.join(logsDir, dir), { recursive: true, force: true });
+    fs.rmSync(sdkRoot, { recursive: true, force: true });
+    for (const dir of [logsDir, path.dirname(logsDir), path.dirname(sdkRoot), path.dirname(path.dirname(sdkRoot))]) {
+      if (fs.existsSync(dir) && fs.readdirSync(dir).length === 0) fs.rmdirSync(dir);
+    }
+    fs.rmSync(path.join(GAMES_DIR, gameId), { recursive: true, force: true });
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
+
+test('a failed re-upload leaves the previous version in place', async () => {
+  const gameId = 'example-staging-game';
+  const stagingDir = path.join(ROOT, '.staging', 'add-game');
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lofi-staging-test-'));
+  const good = path.join(tmpDir, 'good');
+  const bad = path.join(tmpDir, 'bad');
+  fs.mkdirSync(good);
+  fs.mkdirSync(bad);
+  fs.writeFileSync(path.join(good, 'index.html'), '<!doctype html><title>v1</title>');
+  fs.writeFileSync(path.join(bad, 'readme.txt'), 'no web build here');
+  const exec = (source) => execSync(`node scripts/add-game.mjs ${gameId} "${source}" --version 1.0.0 --name Staged --description d --yes`, {
+    cwd: ROOT,
+    encoding: 'utf-8',
+    stdio: 'pipe',
+  });
+  const stagedRuns = () => (fs.existsSync(stagingDir) ? fs.readdirSync(stagingDir).filter((d) => d.startsWith(`${gameId}-`)) : []);
+
+  try {
+    exec(good);
+    const before = readMetadata().games.find((g) => g.id === gameId);
+    assert.ok(before);
+    assert.deepStrictEqual(stagedRuns(), [], 'a successful run should not leave its stage');
+
+    assert.throws(() => exec(bad), (err) => {
+      assert.match(err.stderr, /The live game was not changed; staged copy left in place for inspection: .*\.staging/);
+      return true;
+    });
+    assert.strictEqual(fs.readFileSync(path.join(GAMES_DIR, gameId, '1.0.0', 'index.html'), 'utf-8'), '<!doctype html><title>v1</title>');
+    assert.deepStrictEqual(readMetadata().games.find((g) => g.id === gameId), before);
+    assert.ok(fs.existsSync(path.join(THUMBNAILS_DIR, gameId, 'cover.svg')), 'the cover should be kept');
+    const [run] = stagedRuns();
+    assert.ok(fs.existsSync(path.join(stagingDir, run, 'play', '1.0.0', 'readme.txt')));
+  } finally {
+    if (readMetadata().games.some((g) => g.id === gameId)) {
+      execSync(`node scripts/remove-game.mjs ${gameId}`, { cwd: ROOT, encoding: 'utf-8' });
+    }
+    for (const dir of stagedRuns()) fs.rmSync(path.join(stagingDir, dir), { recursive: true, force: true });
+    for (const dir of [stagingDir, path.dirname(stagingDir)]) {
+      if (fs.existsSync(dir) && fs.readdirSync(dir).length === 0) fs.rmdirSync(dir);
+    }
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
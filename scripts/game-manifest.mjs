@@ -0,0 +1,159 @@
+/**
+ * game-manifest.mjs
+ *
+ * Reads the optional self-description a game can ship at the root of its zip or
+ * folder (after single-folder flattening): lofi.json, lofi.yaml or lofi.yml.
+ * Used by add-game.mjs; command-line flags override manifest values.
+ *
+ * Example lofi.yaml:
+ *   name: My Game
+ *   description: A short description.
+ *   version: 1.2.0
+ *   type: html
+ *   entryPoint: index.html
+ *   thumbnail: img/cover.png
+ *   tags: [puzzle, jam]
+ *   renpyVersion: 8.3.7
+ *   downloads:
+ *     - platform: windows
+ *       file: builds/my-game-win.zip
+ */
+
+import fs from 'fs';
+import path from 'path';
+import AdmZip from 'adm-zip';
+import yaml from 'yaml';
+import { GAME_TYPES, RENPY_VERSION_PATTERN } from '../src/data/game-schema.mjs';
+
+export const MANIFEST_FILES = ['lofi.json', 'lofi.yaml', 'lofi.yml'];
+
+const STRING_FIELDS = ['name', 'description', 'version', 'type', 'entryPoint', 'thumbnail', 'renpyVersion'];
+const KNOWN_FIELDS = new Set([...STRING_FIELDS, 'tags', 'downloads']);
+
+/**
+ * @typedef {object} GameManifest
+ * @property {string} [name]
+ * @property {string} [description]
+ * @property {string} [version]
+ * @property {string} [type]
+ * @property {string} [entryPoint] - Root HTML file
+ * @property {string} [thumbnail] - Image path relative to the manifest
+ * @property {string[]} [tags]
+ * @property {string} [renpyVersion] - Ren'Py SDK to build the project with
+ * @property {{ platform: string, file: string }[]} [downloads] - Files relative to the manifest
+ * @property {string} fileName - Which manifest file was read
+ * @property {string[]} warnings - Ignored fields
+ */
+
+/**
+ * Parse and check manifest text.
+ * @param {string} text
+ * @param {string} fileName - lofi.json / lofi.yaml / lofi.yml (selects the parser)
+ * @returns {GameManifest}
+ * @throws {Error} When the file cannot be parsed or a field has the wrong type
+ */
+export function parseManifest(text, fileName) {
+  let data;
+  try {
+    data = fileName.endsWith('.json') ? JSON.parse(text) : yaml.parse(text);
+  } catch (err) {
+    throw new Error(`${fileName} could not be parsed: ${err.message}`);
+  }
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`${fileName} must contain an object of game fields`);
+  }
+
+  /** @type {GameManifest} */
+  const manifest = { fileName, warnings: [] };
+  const problems = [];
+  for (const [key, value] of Object.entries(data)) {
+    if (!KNOWN_FIELDS.has(key)) {
+      manifest.warnings.push(`unknown field "${key}" ignored`);
+      continue;
+    }
+    if (STRING_FIELDS.includes(key)) {
+      // A YAML version like 1.2 parses as a number; accept it as the string it was meant to be
+      if ((key === 'version' || key === 'renpyVersion') && typeof value === 'number') {
+        manifest[key] = String(value);
+      } else if (typeof value !== 'string' || value.trim() === '') {
+        problems.push(`"${key}" must be a non-empty string`);
+      } else {
+        manifest[key] = value.trim();
+      }
+    }
+  }
+
+  if (manifest.type !== undefined && !GAME_TYPES.includes(manifest.type)) {
+    problems.push(`"type" is "${manifest.type}"; expected one of ${GAME_TYPES.join(', ')}`);
+  }
+  if (manifest.renpyVersion !== undefined && !RENPY_VERSION_PATTERN.test(manifest.renpyVersion)) {
+    problems.push(`"renpyVersion" is "${manifest.renpyVersion}"; expected a Ren'Py version like 8.5.2`);
+  }
+  if (data.tags !== undefined) {
+    if (!Array.isArray(data.tags) || data.tags.some((t) => typeof t !== 'string' || t.trim() === '')) {
+      problems.push('"tags" must be a list of strings');
+    } else {
+      manifest.tags = normalizeTags(data.tags);
+    }
+  }
+  if (data.downloads !== undefined) {
+    // Either a list of { platform, file } or a { platform: file } map
+    const list = Array.isArray(data.downloads)
+      ? data.downloads
+      : data.downloads && typeof data.downloads === 'object'
+        ? Object.entries(data.downloads).map(([platform, file]) => ({ platform, file }))
+        : null;
+    if (!list || list.some((d) => !d || typeof d.platform !== 'string' || typeof d.file !== 'string')) {
+      problems.push('"downloads" must be a list of { platform, file } entries');
+    } else {
+      manifest.downloads = list.map((d) => ({ platform: d.platform.trim().toLowerCase(), file: d.file.trim() }));
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`${fileName} is invalid: ${problems.join('; ')}`);
+  }
+  return manifest;
+}
+
+/**
+ * Lowercase, trim and de-duplicate tags, keeping their order.
+ * @param {string[]} tags
+ * @returns {string[]}
+ */
+export function normalizeTags(tags) {
+  return [...new Set(tags.map((t) => t.trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Read the manifest from a directory (the game root after flattening).
+ * @param {string} dir
+ * @returns {GameManifest | null} null when the directory has no manifest
+ */
+export function readManifestFromDir(dir) {
+  for (const name of MANIFEST_FILES) {
+    const filePath = path.join(dir, name);
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isFile()) {
+      return parseManifest(fs.readFileSync(filePath, 'utf-8'), name);
+    }
+  }
+  return null;
+}
+
+/**
+ * Read the manifest from a zip without extracting it.
+ * @param {string} zipPath
+ * @param {string} [rootFolder] - Single top-level folder that will be flattened, if any
+ * @returns {GameManifest | null} null when the zip has no manifest
+ */
+export function readManifestFromZip(zipPath, rootFolder) {
+  const zip = new AdmZip(zipPath);
+  const prefix = rootFolder ? `${rootFolder}/` : '';
+  for (const name of MANIFEST_FILES) {
+    const entry = zip.getEntry(prefix + name);
+    if (entry && !entry.isDirectory) {
+      return parseManifest(entry.getData().toString('utf-8'), name);
+    }
+  }
+  return null;
+}
@@ -0,0 +1,257 @@
+/**
+ * games-metadata.mjs
+ *
+ * Reading and writing src/data/games.yaml for the scripts: add-game,
+ * remove-game and rollback-game change it; deploy and validate-games read it.
+ *
+ * writeMetadata() keeps what was written by hand: the new data is applied to
+ * the file's yaml Document node by node, so comments, key order and quoting
+ * survive, and only values that changed are touched. Games, versions and
+ * downloads are matched by id / version / platform, so a comment stays with its
+ * entry when others are added or removed. The file is replaced atomically
+ * (temp file, then rename).
+ *
+ * lockMetadata() takes games.yaml.lock for the length of a run. A second
+ * script waits for it instead of overwriting the first one's changes; a lock
+ * left by a process that is no longer running is taken over.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'yaml';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+export const METADATA_FILE = path.join(ROOT_DIR, 'src', 'data', 'games.yaml');
+// A Ren'Py build with desktop packages can hold the lock for a while
+export const METADATA_LOCK_TIMEOUT_MS = 30 * 60 * 1000;
+const LOCK_POLL_MS = 250;
+// A lock file this old that cannot be read was abandoned mid-write
+const UNREADABLE_LOCK_STALE_MS = 10 * 1000;
+// Keys that identify an entry of a list (games, versions, downloads, media)
+const IDENTITY_KEYS = ['id', 'version', 'platform', 'src'];
+
+/**
+ * @param {string} [file]
+ * @returns {{ games: object[] }}
+ * @throws {Error} When the file is not valid YAML
+ */
+export function readMetadata(file = METADATA_FILE) {
+  if (!fs.existsSync(file)) return { games: [] };
+  return yaml.parse(fs.readFileSync(file, 'utf-8')) || { games: [] };
+}
+
+/**
+ * Save data to games.yaml, keeping the file's comments and formatting.
+ * @param {object} data - As returned by readMetadata, then changed
+ * @param {string} [file]
+ * @throws {Error} When the current file is not valid YAML or cannot be replaced
+ */
+export function writeMetadata(data, file = METADATA_FILE) {
+  const doc = fs.existsSync(file) ? yaml.parseDocument(fs.readFileSync(file, 'utf-8')) : new yaml.Document();
+  if (doc.errors.length > 0) {
+    throw new Error(`${path.basename(file)} is not valid YAML: ${doc.errors[0].message}`);
+  }
+  doc.contents = updateNode(doc, doc.contents, data);
+  writeFileAtomic(file, doc.toString({ indent: 2 }));
+}
+
+/**
+ * Make a node hold value, reusing it (and its comments and style) where the
+ * kind of value is the same.
+ * @param {yaml.Document} doc
+ * @param {unknown} node
+ * @param {unknown} value
+ * @returns {unknown} The node to put in its place
+ */
+function updateNode(doc, node, value) {
+  if (value === null || typeof value !== 'object') {
+    if (yaml.isScalar(node) && typeof node.value === typeof value) {
+      node.value = value;
+      return node;
+    }
+    return replaceNode(doc, node, value);
+  }
+
+  if (Array.isArray(value)) {
+    if (!yaml.isSeq(node)) return replaceNode(doc, node, value);
+    // `games: []` (games.yaml.example, ensure-games-yaml) would keep the whole catalog on one line
+    if (node.flow && node.items.length === 0) node.flow = false;
+    const previous = node.items;
+    // yaml keeps a comment above the first entry on the list; give it to the entry so it moves with it
+    if (node.commentBefore && yaml.isNode(previous[0]) && !previous[0].commentBefore) {
+      previous[0].commentBefore = node.commentBefore;
+      delete node.commentBefore;
+    }
+    const used = new Set();
+    node.items = value.map((item, i) => {
+      const id = identityOf(item);
+      const match = id === undefined
+        ? (previous[i] !== undefined && !used.has(previous[i]) && identityOf(toJS(previous[i])) === undefined ? previous[i] : undefined)
+        : previous.find((n) => !used.has(n) && identityOf(toJS(n)) === id);
+      if (match === undefined) return createBlockNode(doc, item);
+      used.add(match);
+      return updateNode(doc, match, item);
+    });
+    return node;
+  }
+
+  if (!yaml.isMap(node)) return replaceNode(doc, node, value);
+  const entries = Object.entries(value).filter(([, v]) => v !== undefined);
+  const keys = new Set(entries.map(([k]) => k));
+  node.items = node.items.filter((pair) => keys.has(String(toJS(pair.key))));
+  for (const [key, v] of entries) {
+    const pair = node.items.find((p) => String(toJS(p.key)) === key);
+    if (pair) pair.value = updateNode(doc, pair.value, v);
+    else node.items.push(doc.createPair(key, createBlockNode(doc, v)));
+  }
+  return node;
+}
+
+/** A new node for value, in block style (one entry per line). */
+function createBlockNode(doc, value) {
+  const created = doc.createNode(value);
+  if (yaml.isCollection(created)) created.flow = false;
+  return created;
+}
+
+/** A new node for value, keeping the comments of the one it replaces. */
+function replaceNode(doc, node, value) {
+  const created = createBlockNode(doc, value);
+  if (yaml.isNode(node)) {
+    created.commentBefore = node.commentBefore;
+    created.comment = node.comment;
+  }
+  return created;
+}
+
+function toJS(node) {
+  return yaml.isNode(node) ? node.toJSON() : node;
+}
+
+/** "id:my-game" for a list entry that has an identity key, else undefined. */
+function identityOf(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return undefined;
+  const key = IDENTITY_KEYS.find((k) => value[k] !== undefined);
+  return key ? `${key}:${value[key]}` : undefined;
+}
+
+/**
+ * Write a file so readers see the old or the new content, never half of it.
+ * @param {string} file
+ * @param {string} content
+ */
+function writeFileAtomic(file, content) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  try {
+    fs.writeFileSync(tmp, content);
+    fs.renameSync(tmp, file);
+  } finally {
+    fs.rmSync(tmp, { force: true });
+  }
+}
+
+/**
+ * @typedef {object} LockHolder
+ * @property {number} pid
+ * @property {string} host
+ * @property {string} command
+ * @property {string} since - ISO timestamp
+ */
+
+/**
+ * Take the games.yaml lock, waiting while another process has it. It is
+ * released when the process exits, or earlier with the returned function.
+ * @param {{ file?: string, timeoutMs?: number, command?: string, onWait?: (holder: LockHolder | null) => void, signal?: AbortSignal }} [options]
+ *   onWait: called once when the lock is busy, e.g. to say who has it; signal: stops the wait
+ * @returns {Promise<() => void>} Release
+ * @throws {Error} When the lock is still held after timeoutMs, or signal's reason when it is aborted
+ */
+export async function lockMetadata({
+  file = METADATA_FILE,
+  timeoutMs = METADATA_LOCK_TIMEOUT_MS,
+  command = [path.basename(process.argv[1] ?? 'node'), ...process.argv.slice(2)].join(' '),
+  onWait,
+  signal,
+} = {}) {
+  const lockFile = `${file}.lock`;
+  const deadline = Date.now() + timeoutMs;
+  let waited = false;
+  for (;;) {
+    signal?.throwIfAborted();
+    try {
+      const holder = { pid: process.pid, host: os.hostname(), command, since: new Date().toISOString() };
+      fs.writeFileSync(lockFile, JSON.stringify(holder) + '\n', { flag: 'wx' });
+      break;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+    const holder = readLock(lockFile);
+    if (isStale(lockFile, holder)) {
+      fs.rmSync(lockFile, { force: true });
+      continue;
+    }
+    if (Date.now() >= deadline) {
+      throw new Error(
+        `${path.basename(file)} is locked by ${describeHolder(holder)}; gave up after ${Math.round(timeoutMs / 1000)}s. ` +
+        `If that process is not running, delete ${lockFile}.`
+      );
+    }
+    if (!waited) {
+      waited = true;
+      onWait?.(holder);
+    }
+    await new Promise((resolve) => setTimeout(resolve, LOCK_POLL_MS));
+  }
+
+  let released = false;
+  const release = () => {
+    if (released) return;
+    released = true;
+    process.off('exit', release);
+    if (readLock(lockFile)?.pid === process.pid) fs.rmSync(lockFile, { force: true });
+  };
+  process.on('exit', release);
+  return release;
+}
+
+/**
+ * "add-game.mjs my-game ... (pid 123 since 2026-10-18T09:12:44.103Z)"
+ * @param {LockHolder | null} holder
+ * @returns {string}
+ */
+export function describeHolder(holder) {
+  if (!holder) return 'another process';
+  return `${holder.command} (pid ${holder.pid}${holder.host !== os.hostname() ? ` on ${holder.host}` : ''} since ${holder.since})`;
+}
+
+/** @returns {LockHolder | null} */
+function readLock(lockFile) {
+  try {
+    return JSON.parse(fs.readFileSync(lockFile, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+function isStale(lockFile, holder) {
+  if (!holder) {
+    try {
+      return Date.now() - fs.statSync(lockFile).mtimeMs > UNREADABLE_LOCK_STALE_MS;
+    } catch {
+      return false;
+    }
+  }
+  // A process on another machine (shared disk) cannot be checked; wait for it
+  if (holder.host !== os.hostname()) return false;
+  try {
+    process.kill(holder.pid, 0);
+    return false;
+  } catch (err) {
+    return err.code !== 'EPERM';
+  }
+}
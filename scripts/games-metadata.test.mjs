@@ -0,0 +1,113 @@
+/**
+ * Tests comment-preserving games.yaml writes and the games.yaml lock (games-metadata.mjs).
+ * Run: node --test scripts/games-metadata.test.mjs
+ */
+
+import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { lockMetadata, readMetadata, writeMetadata } from './games-metadata.mjs';
+
+const MODULE_URL = new URL('./games-metadata.mjs', import.meta.url).href;
+
+async function withTmpDir(fn) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lofi-games-metadata-test-'));
+  try {
+    await fn(tmpDir);
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+test('keeps comments, key order and quoting when games change', () => withTmpDir((tmpDir) => {
+  const file = path.join(tmpDir, 'games.yaml');
+  fs.writeFileSync(file, [
+    '# Game catalog',
+    'games:',
+    '  # Our first jam game',
+    '  - id: jam',
+    '    name: "Jam Game" # keep the quotes',
+    '    version: \'1.0.0\'',
+    '    tags: [puzzle, jam]',
+    '  # Retired next month',
+    '  - id: old',
+    '    name: Old',
+    '',
+  ].join('\n'));
+
+  const data = readMetadata(file);
+  data.games[0].version = '1.1.0';
+  data.games[0].lastUpdated = '2026-10-18';
+  data.games.splice(1, 1);
+  data.games.unshift({ id: 'new', name: 'New' });
+  writeMetadata(data, file);
+
+  assert.strictEqual(fs.readFileSync(file, 'utf-8'), [
+    '# Game catalog',
+    'games:',
+    '  - id: new',
+    '    name: New',
+    '  # Our first jam game',
+    '  - id: jam',
+    '    name: "Jam Game" # keep the quotes',
+    '    version: \'1.1.0\'',
+    '    tags: [ puzzle, jam ]',
+    '    lastUpdated: 2026-10-18',
+    '',
+  ].join('\n'));
+  assert.deepStrictEqual(fs.readdirSync(tmpDir), ['games.yaml'], 'no temp file should be left');
+}));
+
+test('writes block style into the `games: []` of a new file', () => withTmpDir((tmpDir) => {
+  const file = path.join(tmpDir, 'games.yaml');
+  fs.writeFileSync(file, '# Game catalog\ngames: []\n');
+
+  const data = readMetadata(file);
+  data.games.push({ id: 'demo', name: 'Demo', versions: [{ version: '1.0.0' }] });
+  writeMetadata(data, file);
+  data.games.push({ id: 'next', name: 'Next' });
+  writeMetadata(data, file);
+
+  assert.strictEqual(fs.readFileSync(file, 'utf-8'), [
+    '# Game catalog',
+    'games:',
+    '  - id: demo',
+    '    name: Demo',
+    '    versions:',
+    '      - version: 1.0.0',
+    '  - id: next',
+    '    name: Next',
+    '',
+  ].join('\n'));
+}));
+
+test('a second run waits for the lock, and a dead holder\'s lock is taken over', () => withTmpDir(async (tmpDir) => {
+  const file = path.join(tmpDir, 'games.yaml');
+  const lockFile = `${file}.lock`;
+  // Another process holds the lock for a moment
+  const child = spawn(process.execPath, ['--input-type=module', '-e', `
+    const { lockMetadata } = await import(${JSON.stringify(MODULE_URL)});
+    await lockMetadata({ file: ${JSON.stringify(file)}, command: 'holder' });
+    console.log('locked');
+    setTimeout(() => process.exit(0), 500);
+  `], { stdio: ['ignore', 'pipe', 'inherit'] });
+  await new Promise((resolve) => child.stdout.once('data', resolve));
+
+  await assert.rejects(lockMetadata({ file, timeoutMs: 100 }), /games\.yaml is locked by holder \(pid \d+/);
+  let waitedFor = null;
+  const release = await lockMetadata({ file, timeoutMs: 10_000, onWait: (holder) => { waitedFor = holder.command; } });
+  assert.strictEqual(waitedFor, 'holder');
+  assert.strictEqual(JSON.parse(fs.readFileSync(lockFile, 'utf-8')).pid, process.pid);
+  release();
+  assert.ok(!fs.existsSync(lockFile));
+
+  // The holder exited without releasing (killed); its lock is stale
+  const dead = spawn(process.execPath, ['-e', '']);
+  await new Promise((resolve) => dead.once('exit', resolve));
+  fs.writeFileSync(lockFile, JSON.stringify({ pid: dead.pid, host: os.hostname(), command: 'crashed', since: new Date().toISOString() }));
+  (await lockMetadata({ file, timeoutMs: 100 }))();
+  assert.ok(!fs.existsSync(lockFile));
+}));
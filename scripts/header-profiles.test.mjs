@@ -0,0 +1,41 @@
+/**
+ * Tests engine detection and the headers written for each profile.
+ * Run: node --test scripts/header-profiles.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import {
+  detectHeaderProfile,
+  headersForFile,
+  renderHeadersFile,
+  renderNginxInclude,
+} from '../src/data/header-profiles.mjs';
+
+test('detects Godot, Unity and Construct exports from their files', () => {
+  assert.strictEqual(detectHeaderProfile(['index.html', 'index.pck', 'index.wasm', 'index.js']), 'godot');
+  assert.strictEqual(detectHeaderProfile(['index.html', 'Build/Game.loader.js', 'Build/Game.wasm.br']), 'unity');
+  assert.strictEqual(detectHeaderProfile(['index.html', 'scripts/c3runtime.js']), 'construct');
+  assert.strictEqual(detectHeaderProfile(['index.html', 'js/rpg_core.js']), 'default');
+  // A .pck in a subfolder is not a Godot export at the root
+  assert.strictEqual(detectHeaderProfile(['index.html', 'data/game.pck', 'lib.wasm']), 'default');
+});
+
+test('picks the longest matching rule and renders _headers and nginx config', () => {
+  assert.deepStrictEqual(headersForFile('unity', 'Build/Game.wasm.br'), {
+    'Content-Type': 'application/wasm',
+    'Content-Encoding': 'br',
+  });
+  assert.strictEqual(headersForFile('godot', 'index.html')['Cross-Origin-Embedder-Policy'], 'require-corp');
+  assert.deepStrictEqual(headersForFile(undefined, 'index.html'), {});
+
+  const games = [{ id: 'plain' }, { id: 'space', headers: 'godot' }];
+  const headersFile = renderHeadersFile(games);
+  assert.match(headersFile, /^\/play\/space\/\*\n {2}Cross-Origin-Opener-Policy: same-origin$/m);
+  assert.doesNotMatch(headersFile, /\/play\/plain\//);
+
+  const nginx = renderNginxInclude(games, '/srv/lobby');
+  assert.match(nginx, /location \^~ \/play\/space\/ \{\n {4}root \/srv\/lobby;/);
+  assert.match(nginx, /location ~\* \\\.wasm\$ \{/);
+  assert.doesNotMatch(nginx, /plain/);
+});
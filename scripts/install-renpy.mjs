@@ -5,18 +5,28 @@
  *
  * Downloads and extracts the Ren'Py SDK (and optionally Renpyweb for web builds)
  * into vendor/renpy so it can be used to build games for web or other platforms.
+ * --from / --web-from install from archives already on disk (no network). Every
+ * archive is checked before it is extracted: its SHA-256 against --sha256 /
+ * --web-sha256 or the pinned table in renpy-checksums.mjs, and a full read so a
+ * truncated download fails here rather than in add-game. An archive with no
+ * known checksum is installed with a warning that prints its SHA-256.
  *
  * Usage:
- *   npm run install:renpy [-- --force] [-- --web]
+ *   npm run install:renpy [-- --force] [-- --web] [-- --version <version>]
+ *                         [-- --from <sdk-archive>] [-- --sha256 <hex>]
+ *                         [-- --web-from <web-zip>] [-- --web-sha256 <hex>]
+ *   npm run install:renpy -- --list
+ *   npm run install:renpy -- --remove <version>
  *
  * Environment:
- *   RENPY_VERSION  – Ren'Py version (default: 8.5.2)
+ *   RENPY_VERSION  – Ren'Py version (default: 8.5.2; --version wins)
  *   INSTALL_RENPY  – when set, postinstall runs this script
  *
  * Examples:
  *   npm run install:renpy
  *   npm run install:renpy -- --force --web
  *   RENPY_VERSION=8.4.0 npm run install:renpy
+ *   npm run install:renpy -- --from /media/usb/renpy-8.5.2-sdk.tar.bz2 --web-from /media/usb/renpy-8.5.2-web.zip
  */
 
 import fs from 'fs/promises';
@@ -25,6 +35,8 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { execSync } from 'child_process';
 import AdmZip from 'adm-zip';
+import { checkArchive, parseSha256, verifyChecksum } from './renpy-checksums.mjs';
+import { listInstalledSdks } from './renpy-utils.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -52,14 +64,107 @@ function error(message) {
 }
 
 function parseArgs(args) {
-  const parsed = { force: false, web: false };
-  for (const arg of args) {
+  const parsed = {
+    force: false,
+    web: false,
+    version: null,
+    from: null,
+    webFrom: null,
+    sha256: null,
+    webSha256: null,
+    list: false,
+    remove: null,
+  };
+  const value = (i) => {
+    if (i + 1 >= args.length || args[i + 1].startsWith('--')) error(`${args[i]} needs a value`);
+    return args[i + 1];
+  };
+  const checksum = (i) => parseSha256(value(i)) ?? error(`${args[i]} must be a 64-character hex SHA-256, got "${args[i + 1]}"`);
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
     if (arg === '--force') parsed.force = true;
-    if (arg === '--web') parsed.web = true;
+    else if (arg === '--web') parsed.web = true;
+    else if (arg === '--list') parsed.list = true;
+    else if (arg === '--version') parsed.version = value(i++);
+    else if (arg === '--remove') parsed.remove = value(i++);
+    else if (arg === '--from') parsed.from = path.resolve(value(i++));
+    else if (arg === '--web-from') {
+      parsed.webFrom = path.resolve(value(i++));
+      parsed.web = true;
+    } else if (arg === '--sha256') parsed.sha256 = checksum(i++);
+    else if (arg === '--web-sha256') parsed.webSha256 = checksum(i++);
+    else error(`Unknown option: ${arg}`);
+  }
+  for (const version of [parsed.version, parsed.remove]) {
+    if (version !== null && !/^\d[\w.-]*$/.test(version)) error(`Invalid Ren'Py version: "${version}"`);
   }
   return parsed;
 }
 
+/** Archive format from a file name, or null. */
+function archiveFormat(filePath) {
+  const name = path.basename(filePath).toLowerCase();
+  if (name.endsWith('.tar.bz2')) return 'tar.bz2';
+  if (name.endsWith('.zip')) return 'zip';
+  if (name.endsWith('.dmg')) return 'dmg';
+  return null;
+}
+
+/** "renpy-8.5.2-sdk.tar.bz2" -> "8.5.2" */
+function versionFromArchive(filePath) {
+  return path.basename(filePath).match(/^renpy-(\d[\w.]*?)-(?:sdk|web)\b/i)?.[1] ?? null;
+}
+
+/**
+ * Checksum and read an archive before it is extracted; exits on failure,
+ * removing the archive if it was downloaded.
+ * @param {string} archivePath
+ * @param {string} archiveName - Name renpy.org serves it as, for the pinned table
+ * @param {'tar.bz2' | 'zip' | 'dmg'} format
+ * @param {{ sha256: string | null, downloaded: boolean }} options - sha256 from the command line
+ */
+function verifyArchive(archivePath, archiveName, format, { sha256, downloaded }) {
+  log(`Verifying ${archiveName}...`, 'cyan');
+  try {
+    const result = verifyChecksum(archivePath, archiveName, { sha256 });
+    checkArchive(archivePath, format);
+    if (result.verified) {
+      log(`SHA-256 verified: ${result.sha256}`, 'green');
+    } else {
+      log(`No known checksum for ${archiveName}; installing it unverified. Its SHA-256 is ${result.sha256}:`, 'yellow');
+      log('compare it with a trusted source, then pass it with --sha256 / --web-sha256 or pin it in scripts/renpy-checksums.mjs.', 'yellow');
+    }
+  } catch (err) {
+    if (downloaded) fsSync.rmSync(archivePath, { force: true });
+    error(err.message);
+  }
+}
+
+function listSdks() {
+  const sdks = listInstalledSdks(VENDOR_RENPY);
+  if (sdks.length === 0) {
+    log(`No Ren'Py SDK installed in ${path.relative(ROOT_DIR, VENDOR_RENPY)}/. Run: npm run install:renpy`, 'yellow');
+    return;
+  }
+  const defaultVersion = process.env.RENPY_VERSION || DEFAULT_VERSION;
+  log(`Ren'Py SDKs in ${path.relative(ROOT_DIR, VENDOR_RENPY)}/:`, 'cyan');
+  for (const sdk of sdks) {
+    const notes = [sdk.web ? 'web' : null, sdk.version === defaultVersion ? 'used by add-game' : null].filter(Boolean);
+    log(`  ${sdk.version}${notes.length ? `  (${notes.join(', ')})` : ''}`);
+  }
+}
+
+async function removeSdk(version) {
+  const targetDir = sdkDir(version);
+  const exists = await fs.access(targetDir).then(() => true).catch(() => false);
+  if (!exists) {
+    const installed = listInstalledSdks(VENDOR_RENPY).map((s) => s.version);
+    error(`Ren'Py ${version} is not installed.${installed.length ? ` Installed: ${installed.join(', ')}` : ''}`);
+  }
+  await fs.rm(targetDir, { recursive: true, force: true });
+  log(`Removed Ren'Py ${version} (${path.relative(ROOT_DIR, targetDir)}).`, 'green');
+}
+
 function getPlatformConfig(platform) {
   const configs = {
     linux: { ext: 'tar.bz2', format: 'tar.bz2' },
@@ -79,6 +184,11 @@ async function download(url, destPath) {
   const res = await fetch(url, { redirect: 'follow' });
   if (!res.ok) error(`Download failed: ${res.status} ${res.statusText} – ${url}`);
   const buf = Buffer.from(await res.arrayBuffer());
+  // Content-Length counts the encoded bytes, so it can only be compared when there is no encoding
+  const expectedLength = Number(res.headers.get('content-length'));
+  if (expectedLength && !res.headers.get('content-encoding') && buf.length !== expectedLength) {
+    error(`Download truncated: got ${buf.length} of ${expectedLength} bytes – ${url}`);
+  }
   await fs.mkdir(path.dirname(destPath), { recursive: true });
   await fs.writeFile(destPath, buf);
   return destPath;
@@ -156,43 +266,69 @@ async function runVerify(sdkRoot, platform) {
 
 async function main() {
   const args = parseArgs(process.argv.slice(2));
-  const version = process.env.RENPY_VERSION || DEFAULT_VERSION;
+  if (args.list) return listSdks();
+  if (args.remove) return removeSdk(args.remove);
+
+  const version = args.version
+    || (args.from && versionFromArchive(args.from))
+    || process.env.RENPY_VERSION
+    || DEFAULT_VERSION;
   const platform = process.platform;
-  const { ext, format } = getPlatformConfig(platform);
+  let { ext, format } = args.from ? {} : getPlatformConfig(platform);
+  if (args.from) {
+    if (!fsSync.existsSync(args.from)) error(`--from archive not found: ${args.from}`);
+    format = archiveFormat(args.from);
+    if (!format) error(`--from must be a .tar.bz2, .zip or .dmg Ren'Py SDK archive: ${args.from}`);
+    ext = format;
+  }
+  if (args.webFrom && !fsSync.existsSync(args.webFrom)) error(`--web-from zip not found: ${args.webFrom}`);
+  const web = { source: args.webFrom, sha256: args.webSha256 };
 
   const targetDir = sdkDir(version);
   const exists = await fs.access(targetDir).then(() => true).catch(() => false);
   if (exists && !args.force) {
     log(`Ren'Py ${version} already installed at ${targetDir}. Use --force to reinstall.`, 'green');
-    if (args.web) await installRenpyweb(targetDir, version, args.force);
+    if (args.web) await installRenpyweb(targetDir, version, args.force, web);
     return;
   }
 
-  if (exists && args.force) {
-    log(`Removing existing ${targetDir}...`, 'yellow');
-    await fs.rm(targetDir, { recursive: true, force: true });
-  }
-
   await fs.mkdir(VENDOR_RENPY, { recursive: true });
-  const sdkUrl = `${BASE_URL}/${version}/renpy-${version}-sdk.${ext}`;
-  const archivePath = path.join(VENDOR_RENPY, `renpy-${version}-sdk.${ext}`);
-
-  log(`Downloading Ren'Py ${version} SDK (${platform})...`, 'cyan');
-  await download(sdkUrl, archivePath);
+  const archiveName = `renpy-${version}-sdk.${ext}`;
+  let archivePath = args.from;
+  if (!archivePath) {
+    archivePath = path.join(VENDOR_RENPY, archiveName);
+    log(`Downloading Ren'Py ${version} SDK (${platform})...`, 'cyan');
+    await download(`${BASE_URL}/${version}/${archiveName}`, archivePath);
+  } else {
+    log(`Installing Ren'Py ${version} SDK from ${args.from}...`, 'cyan');
+  }
+  verifyArchive(archivePath, archiveName, format, { sha256: args.sha256, downloaded: !args.from });
   log('Extracting...', 'cyan');
   const extractDir = path.join(VENDOR_RENPY, `extract-${version}`);
+  await fs.rm(extractDir, { recursive: true, force: true });
   await extractSdk(archivePath, format, extractDir);
   const extractedRoot = findRenpyRoot(extractDir);
+  // Only now that the new SDK is verified and extracted
+  if (exists) {
+    log(`Removing existing ${targetDir}...`, 'yellow');
+    await fs.rm(targetDir, { recursive: true, force: true });
+  }
   await fs.rename(extractedRoot, targetDir);
   await fs.rm(extractDir, { recursive: true, force: true });
-  await fs.unlink(archivePath).catch(() => {});
+  if (!args.from) await fs.unlink(archivePath).catch(() => {});
 
-  if (args.web) await installRenpyweb(targetDir, version, false);
+  if (args.web) await installRenpyweb(targetDir, version, false, web);
   await runVerify(targetDir, platform);
   log(`Done. SDK at: ${targetDir}`, 'green');
 }
 
-async function installRenpyweb(sdkRoot, version, force) {
+/**
+ * @param {string} sdkRoot
+ * @param {string} version
+ * @param {boolean} force
+ * @param {{ source: string | null, sha256: string | null }} web - source: local web zip (--web-from)
+ */
+async function installRenpyweb(sdkRoot, version, force, { source, sha256 }) {
   const webDir = path.join(sdkRoot, 'web');
   const exists = await fs.access(webDir).then(() => true).catch(() => false);
   if (exists && !force) {
@@ -201,10 +337,16 @@ async function installRenpyweb(sdkRoot, version, force) {
   }
   if (exists) await fs.rm(webDir, { recursive: true, force: true });
 
-  const url = `${BASE_URL}/${version}/renpy-${version}-web.zip`;
-  const zipPath = path.join(VENDOR_RENPY, `renpy-${version}-web.zip`);
-  log('Downloading Renpyweb (web platform support)...', 'cyan');
-  await download(url, zipPath);
+  const zipName = `renpy-${version}-web.zip`;
+  let zipPath = source;
+  if (!zipPath) {
+    zipPath = path.join(VENDOR_RENPY, zipName);
+    log('Downloading Renpyweb (web platform support)...', 'cyan');
+    await download(`${BASE_URL}/${version}/${zipName}`, zipPath);
+  } else {
+    log(`Installing Renpyweb from ${source}...`, 'cyan');
+  }
+  verifyArchive(zipPath, zipName, 'zip', { sha256, downloaded: !source });
   const tempExtract = path.join(VENDOR_RENPY, `web-extract-${version}`);
   await fs.mkdir(tempExtract, { recursive: true });
   const zip = new AdmZip(zipPath);
@@ -217,7 +359,7 @@ async function installRenpyweb(sdkRoot, version, force) {
   await fs.mkdir(path.dirname(webDir), { recursive: true });
   await fs.cp(webSrc, webDir, { recursive: true });
   await fs.rm(tempExtract, { recursive: true, force: true });
-  await fs.unlink(zipPath).catch(() => {});
+  if (!source) await fs.unlink(zipPath).catch(() => {});
   log('Renpyweb installed.', 'green');
 }
 
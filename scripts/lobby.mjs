@@ -0,0 +1,1758 @@
+/**
+ * lobby.mjs
+ *
+ * Node API for managing the lobby's games, used by the add-game and remove-game
+ * commands and available to other tooling:
+ *
+ *   import { addGame, getGame, listGames, removeGame, updateGame } from './scripts/lobby.mjs';
+ *
+ *   const result = await addGame({ gameId: 'my-game', source: './my-game.zip', version: '1.0.0',
+ *     name: 'My Game', description: 'A game.', onProgress: ({ level, message }) => console.log(message) });
+ *   await updateGame('my-game', { tags: ['puzzle'] });
+ *   await removeGame('my-game');
+ *
+ * Nothing here prints or exits, and no process listeners are left behind:
+ * progress is reported to each call's onProgress, results are returned,
+ * addGame stops on its `signal`, and failures are thrown as LobbyError
+ * subclasses with a `code` (INVALID_OPTION, GAME_NOT_FOUND, MISSING_ANSWER,
+ * BUILD_FAILED; FAILED for anything else). Messages name the add-game flags,
+ * which have the same names as the options (--renpy-version is renpyVersion).
+ *
+ * Calls that change games are run one at a time within a process, and hold
+ * the games.yaml lock (games-metadata.mjs) against other processes. What
+ * addGame does with an upload is described in the README.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import {
+  DEFAULT_RENPY_VERSION,
+  getSdkRoot,
+  getRenpyLauncher,
+  getRenpyCwd,
+  hasWebSupport,
+  findRenpyProjectRoot,
+  findRenpyDistributionRoot,
+  RENPY_DESKTOP_PACKAGES,
+  dirContainsRpy,
+  dirContainsRpyc,
+  detectRenpyVersion,
+  listInstalledSdks,
+} from './renpy-utils.mjs';
+import { RENPY_CACHE_DIR, readCachedBuild, renpyBuildKey, storeCachedBuild } from './renpy-cache.mjs';
+import {
+  BUILD_LOG_FILE,
+  RENPY_ERROR_FILES,
+  collectRenpyErrorFiles,
+  createBuildLogDir,
+  describeRenpyError,
+  runLogged,
+} from './renpy-logs.mjs';
+import { GAME_TYPES, RENPY_VERSION_PATTERN, formatValidationErrors, validateGamesData } from '../src/data/game-schema.mjs';
+import { HEADER_PROFILE_NAMES, detectHeaderProfile } from '../src/data/header-profiles.mjs';
+import { normalizeTags, readManifestFromDir, readManifestFromZip } from './game-manifest.mjs';
+import { MEDIA_DIR_NAME, collectScreenshots, findScreenshotsDir, groupMediaFiles, isMediaFile, writeMedia } from './media.mjs';
+import { changelogForVersion, findChangelogFile, isChangelogPath, readChangelogOption } from './changelog.mjs';
+import { DEFAULT_ZIP_LIMITS, extractZipSafely, formatZipProblems, inspectZip } from './safe-zip.mjs';
+import { COVER_WIDTHS, writeCoverImages, writePlaceholderCover } from './thumbnails.mjs';
+import { STAGING_DIR, commitStage, createStage, discardStage, swapMoves } from './staging.mjs';
+import { METADATA_FILE, describeHolder, lockMetadata, readMetadata, writeMetadata } from './games-metadata.mjs';
+import { sha256File } from './file-hash.mjs';
+import {
+  listFiles,
+  detectRpgMaker,
+  flattenRpgMakerWebRoot,
+  pruneNwjsRuntime,
+  findRpgMakerTitleImage,
+} from './rpgmaker-utils.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT_DIR = path.resolve(__dirname, '..');
+const GAMES_DIR = path.join(ROOT_DIR, 'play');
+const THUMBNAILS_DIR = path.join(ROOT_DIR, 'public', 'images', 'games');
+const DOWNLOADS_DIR = path.join(ROOT_DIR, 'downloads');
+// removeGame stages what it deletes next to add-game's stages
+const REMOVE_STAGING_DIR = path.join(path.dirname(STAGING_DIR), 'remove-game');
+
+const IMAGE_EXTENSIONS = new Set(['.png', '.jpg', '.jpeg', '.webp', '.gif']);
+const DOWNLOAD_PLATFORM_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+// Versions become directory names under play/<id>/, so keep them path-safe.
+const VERSION_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._+-]*$/;
+const THUMBNAIL_NAME_HINTS = ['thumbnail', 'icon', 'screenshot', 'preview', 'banner', 'cover', 'logo', 'splash', 'poster', 'title', 'keyart'];
+
+/**
+ * Base class of the errors thrown by this module.
+ */
+export class LobbyError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} [code]
+   */
+  constructor(message, code = 'FAILED') {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+/** An option is missing, malformed, or points at a file that does not exist. */
+export class InvalidOptionError extends LobbyError {
+  constructor(message) {
+    super(message, 'INVALID_OPTION');
+  }
+}
+
+/** No game with the given id. */
+export class GameNotFoundError extends LobbyError {
+  /** @param {string} gameId */
+  constructor(gameId) {
+    super(`Game not found: ${gameId}`, 'GAME_NOT_FOUND');
+    this.gameId = gameId;
+  }
+}
+
+/** addGame needed an answer it could not detect, and there is no prompt to ask. */
+export class MissingAnswerError extends LobbyError {
+  constructor(message) {
+    super(message, 'MISSING_ANSWER');
+  }
+}
+
+/**
+ * A Ren'Py build failed. logDir has its logs; projectDir is the extracted
+ * project when it was kept (keepFailed), else null.
+ */
+export class BuildError extends LobbyError {
+  /**
+   * @param {string} message
+   * @param {{ logDir: string, projectDir?: string | null }} paths
+   */
+  constructor(message, { logDir, projectDir = null }) {
+    super(message, 'BUILD_FAILED');
+    this.logDir = logDir;
+    this.projectDir = projectDir;
+  }
+}
+
+/**
+ * @typedef {'info' | 'step' | 'success' | 'warning' | 'output'} ProgressLevel
+ *   output: raw output of the Ren'Py launcher, in chunks
+ * @typedef {{ level: ProgressLevel, message: string }} ProgressEvent
+ * @typedef {(event: ProgressEvent) => void} ProgressListener
+ */
+
+/**
+ * A call's way to report progress: level and message, to its onProgress (if any).
+ * @typedef {(level: ProgressLevel, message: string) => void} Reporter
+ */
+
+// Calls that change games, one at a time (the games.yaml lock is per process)
+let queue = Promise.resolve();
+
+/**
+ * @param {ProgressListener | undefined} onProgress
+ * @returns {Reporter}
+ */
+function reporter(onProgress) {
+  return (level, message) => onProgress?.({ level, message });
+}
+
+/**
+ * @param {string} message
+ * @param {typeof LobbyError} [ErrorClass]
+ * @returns {never}
+ */
+function error(message, ErrorClass = LobbyError) {
+  throw new ErrorClass(message);
+}
+
+/**
+ * Run fn after the calls already queued. fn gets a `defer` to register
+ * cleanups, which run (last first) when it settles.
+ * @template T
+ * @param {(defer: (cleanup: () => void) => void) => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+function runExclusive(fn) {
+  const run = queue.then(async () => {
+    const cleanups = [];
+    try {
+      return await fn((cleanup) => cleanups.push(cleanup));
+    } finally {
+      for (const cleanup of cleanups.reverse()) cleanup();
+    }
+  });
+  queue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Take the games.yaml lock until the call ends, waiting for other processes.
+ * @param {(cleanup: () => void) => void} defer
+ * @param {Reporter} report
+ * @param {AbortSignal} [signal] - Stops the wait
+ */
+async function lockGamesYaml(defer, report, signal) {
+  try {
+    defer(await lockMetadata({ signal, onWait: (holder) => report('warning', `games.yaml is in use by ${describeHolder(holder)}; waiting for it to finish...`) }));
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    error(err.message);
+  }
+}
+
+function loadMetadata() {
+  try {
+    return readMetadata();
+  } catch (err) {
+    error(`Failed to read metadata file: ${err.message}`);
+  }
+}
+
+function saveMetadata(metadata) {
+  try {
+    writeMetadata(metadata);
+  } catch (err) {
+    error(`Failed to write metadata file: ${err.message}`);
+  }
+}
+
+/**
+ * Parse a --download value of the form <platform>=<path>, e.g. windows=./build-win.zip.
+ * @param {string} spec
+ * @returns {{ platform: string, filePath: string }}
+ */
+export function parseDownloadSpec(spec) {
+  const eq = spec.indexOf('=');
+  const platform = eq > 0 ? spec.slice(0, eq).trim().toLowerCase() : '';
+  const filePath = eq > 0 ? spec.slice(eq + 1).trim() : '';
+  if (!platform || !filePath) {
+    error(`Invalid --download "${spec}". Expected <platform>=<file>, e.g. windows=./build-win.zip`, InvalidOptionError);
+  }
+  if (!DOWNLOAD_PLATFORM_PATTERN.test(platform)) {
+    error(`Invalid download platform "${platform}". Use lowercase letters, digits and dashes (e.g. windows, mac, linux).`, InvalidOptionError);
+  }
+  return { platform, filePath };
+}
+
+
+function extractVersionFromFilename(filename) {
+  // Try to extract version from patterns like: game-v1.0.0.zip, game_1.2.3.zip, game-1.0.zip, WTS-1.49.2
+  const patterns = [
+    /[_-]v?(\d+\.\d+\.\d+)\.zip$/i,
+    /[_-]v?(\d+\.\d+)\.\d*\.zip$/i,
+    /[_-]v?(\d+)\.zip$/i,
+    /[_-]v?(\d+\.\d+\.\d+)$/i,
+    /[_-]v?(\d+\.\d+)$/i,
+  ];
+
+  for (const pattern of patterns) {
+    const match = filename.match(pattern);
+    if (match) {
+      return match[1];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Games added before per-version directories have their build directly in
+ * play/<id>/ and no `versions` history. Start the history with that build and
+ * return the moves that put it in play/<id>/<version>/ (through the stage), so
+ * it survives the update like any other version.
+ * @param {string} gameRoot - play/<id>
+ * @param {object} game - games.yaml entry (mutated)
+ * @param {import('./staging.mjs').Stage} stage
+ * @returns {import('./staging.mjs').Move[]}
+ */
+function legacyLayoutMoves(gameRoot, game, stage) {
+  if (!VERSION_PATTERN.test(String(game.version))) {
+    error(`Cannot move the existing build of "${game.id}" into a version directory: invalid version "${game.version}". Fix it in games.yaml first.`);
+  }
+  const legacyDir = path.join(stage.dir, 'legacy');
+  game.versions = [{ version: String(game.version), entryPoint: game.entryPoint, date: game.lastUpdated }];
+  return [[gameRoot, path.join(legacyDir, String(game.version))], [legacyDir, gameRoot]];
+}
+
+/**
+ * Determine how to unpack a directory: flatten from a single root folder, or use as-is.
+ */
+function getUnpackStructureFromDir(dirPath) {
+  if (!fs.existsSync(dirPath) || !fs.statSync(dirPath).isDirectory()) {
+    return { flatten: false };
+  }
+  const entries = fs.readdirSync(dirPath, { withFileTypes: true });
+  const dirs = entries.filter((e) => e.isDirectory());
+  if (dirs.length === 1 && entries.length === 1) {
+    return { flatten: true, rootFolder: dirs[0].name };
+  }
+  return { flatten: false };
+}
+
+/**
+ * Check if directory would yield a Ren'Py project (game/ with .rpy anywhere) after copy.
+ */
+function dirWouldYieldRenpyProject(dirPath, unpackStructure) {
+  const root = unpackStructure.flatten && unpackStructure.rootFolder
+    ? path.join(dirPath, unpackStructure.rootFolder)
+    : dirPath;
+  const gameDir = path.join(root, 'game');
+  if (!fs.existsSync(gameDir) || !fs.statSync(gameDir).isDirectory()) return false;
+  return dirContainsRpy(gameDir);
+}
+
+/**
+ * Check if directory would yield a Ren'Py PC distribution (game/ with .rpyc, no .rpy).
+ */
+function dirWouldYieldRenpyDistribution(dirPath, unpackStructure) {
+  const root = unpackStructure.flatten && unpackStructure.rootFolder
+    ? path.join(dirPath, unpackStructure.rootFolder)
+    : dirPath;
+  const gameDir = path.join(root, 'game');
+  if (!fs.existsSync(gameDir) || !fs.statSync(gameDir).isDirectory()) return false;
+  return dirContainsRpyc(gameDir) && !dirContainsRpy(gameDir);
+}
+
+/**
+ * Whether a zip has a game/ file with the given extension under prefix ('' for the root).
+ * @param {string[]} entryNames
+ * @param {string} prefix
+ * @param {string} extension - e.g. ".rpy"
+ */
+function zipHasGameFile(entryNames, prefix, extension) {
+  const prefixSlash = prefix ? `${prefix}/` : '';
+  return entryNames.some((name) => name.startsWith(prefixSlash)
+    && name.slice(prefixSlash.length).startsWith('game/')
+    && name.toLowerCase().endsWith(extension));
+}
+
+/**
+ * Whether check holds for the folder a zip's game is unpacked from: the single
+ * folder being flattened, else the root, else its only top-level folder.
+ * @param {string[]} entryNames
+ * @param {{ flatten: boolean, rootFolder?: string }} unpackStructure
+ * @param {(prefix: string) => boolean} check
+ */
+function zipWouldYield(entryNames, unpackStructure, check) {
+  if (unpackStructure.flatten && unpackStructure.rootFolder) {
+    return check(unpackStructure.rootFolder);
+  }
+  if (check('')) return true;
+  const topLevel = new Set(entryNames.map((name) => name.split('/').find(Boolean)).filter(Boolean));
+  return topLevel.size === 1 && check([...topLevel][0]);
+}
+
+/**
+ * Check if zip would yield a Ren'Py project (game/*.rpy) after extraction (for dry-run message).
+ */
+function zipWouldYieldRenpyProject(entryNames, unpackStructure) {
+  return zipWouldYield(entryNames, unpackStructure, (prefix) => zipHasGameFile(entryNames, prefix, '.rpy'));
+}
+
+/**
+ * Check if zip would yield a Ren'Py PC distribution (game/*.rpyc, no .rpy) after extraction.
+ */
+function zipWouldYieldRenpyDistribution(entryNames, unpackStructure) {
+  return zipWouldYield(
+    entryNames,
+    unpackStructure,
+    (prefix) => zipHasGameFile(entryNames, prefix, '.rpyc') && !zipHasGameFile(entryNames, prefix, '.rpy'),
+  );
+}
+
+/**
+ * One line describing an RPG Maker detection, for logs and dry runs.
+ * @param {import('./rpgmaker-utils.mjs').RpgMakerDetection} detection
+ */
+function describeRpgMaker({ engine, webRoot, desktop }) {
+  const name = engine === 'RGSS' ? 'RPG Maker XP/VX/VX Ace' : `RPG Maker ${engine}`;
+  if (webRoot === null) return `${name} desktop-only build (no web files)`;
+  if (webRoot) return `${name} desktop deployment (web files in ${webRoot}/)`;
+  return `${name} ${desktop ? 'desktop deployment' : 'web deployment'}`;
+}
+
+/**
+ * Ren'Py distribute (even for web) processes icon.ico when adding Windows files; invalid/truncated
+ * .ico files cause IndexError in the SDK's change_icon.py. Temporarily hide project icons so
+ * distribute skips icon processing; we only need the web output.
+ */
+function hideProjectIcons(projectPath) {
+  const hidden = [];
+  for (const name of ['icon.ico', 'icon.icns']) {
+    const full = path.join(projectPath, name);
+    const bak = full + '.bak';
+    if (fs.existsSync(full)) {
+      fs.renameSync(full, bak);
+      hidden.push({ from: bak, to: full });
+    }
+  }
+  return hidden;
+}
+
+function restoreProjectIcons(hidden) {
+  for (const { from, to } of hidden) {
+    if (fs.existsSync(from)) {
+      fs.renameSync(from, to);
+    }
+  }
+}
+
+/**
+ * Ensure update.pem exists in the Ren'Py project directory.
+ * Ren'Py's distribute (web) expects this file for update signing; create a placeholder if missing.
+ */
+function ensureUpdatePem(projectPath) {
+  const pemPath = path.join(projectPath, 'update.pem');
+  if (fs.existsSync(pemPath)) return;
+  const { privateKey } = crypto.generateKeyPairSync('ec', {
+    namedCurve: 'prime256v1',
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+  });
+  fs.writeFileSync(pemPath, privateKey, 'utf-8');
+}
+
+/**
+ * Run Ren'Py's `distribute` for the web build (unless it is already cached) and
+ * the requested desktop packages, and add the output to the build cache (see
+ * renpy-cache.mjs). The *-dists directory Ren'Py writes next to the project is
+ * removed afterwards. The launcher's output, and the traceback.txt / errors.txt
+ * of a failed build, are saved to logs/add-game/<id>-<timestamp>/ (see
+ * renpy-logs.mjs). When the build fails, gameDir is removed or, with keepFailed,
+ * moved into the log directory.
+ * @param {{ gameId: string, gameDir: string, projectPath: string, sdkRoot: string, launcher: string,
+ *   cacheKey: string, zipLimits: object, web: boolean, packages: string[], keepFailed: boolean,
+ *   report: Reporter, signal?: AbortSignal }} options
+ * @returns {Promise<import('./renpy-cache.mjs').CachedBuild>}
+ * @throws {BuildError} Or signal's reason when it is aborted
+ */
+async function buildRenpyProject({ gameId, gameDir, projectPath, sdkRoot, launcher, cacheKey, zipLimits, web, packages, keepFailed, report, signal }) {
+  const logDir = createBuildLogDir(gameId);
+  const projectParent = path.dirname(projectPath);
+  const projectBaseName = path.basename(projectPath).replace(/\s+/g, '_').toLowerCase();
+  const findDistBase = () => {
+    const name = fs.readdirSync(projectParent).find(
+      (e) => e.endsWith('-dists') && e.toLowerCase().startsWith(projectBaseName)
+    );
+    return name ? path.join(projectParent, name) : null;
+  };
+  const fail = (message, errorFiles = []) => {
+    const distBase = fs.existsSync(projectParent) ? findDistBase() : null;
+    if (distBase) fs.rmSync(distBase, { recursive: true, force: true });
+    const summary = describeRenpyError(logDir, errorFiles);
+    const lines = [message];
+    if (summary) lines.push(`  ${summary}`);
+    lines.push(`Logs: ${path.relative(ROOT_DIR, logDir)}/ (${[BUILD_LOG_FILE, ...errorFiles].join(', ')})`);
+    let projectDir = null;
+    if (keepFailed && fs.existsSync(gameDir)) {
+      projectDir = path.join(logDir, 'project');
+      fs.renameSync(gameDir, projectDir);
+      lines.push(`Extracted project kept in ${path.relative(ROOT_DIR, projectDir)}/`);
+    } else if (fs.existsSync(gameDir)) {
+      fs.rmSync(gameDir, { recursive: true });
+    }
+    throw new BuildError(lines.join('\n'), { logDir, projectDir });
+  };
+  const requested = [...(web ? ['web'] : []), ...packages];
+  const cwd = getRenpyCwd(sdkRoot, launcher);
+  ensureUpdatePem(projectPath);
+  // Error files in the upload are from the author's own runs, not from this build
+  for (const name of RENPY_ERROR_FILES) fs.rmSync(path.join(projectPath, name), { force: true });
+  const hiddenIcons = hideProjectIcons(projectPath);
+  const startedAt = Date.now();
+  let result;
+  try {
+    report('step', `Building Ren'Py project (${requested.join(', ')})...`);
+    result = await runLogged(launcher, [sdkRoot, 'distribute', ...requested.flatMap((p) => ['--package', p]), projectPath], {
+      cwd,
+      // Desktop packages take about as long as the web build each
+      timeout: 300_000 * requested.length,
+      logFile: path.join(logDir, BUILD_LOG_FILE),
+      echo: { write: (chunk) => report('output', String(chunk)) },
+      signal,
+    });
+  } finally {
+    restoreProjectIcons(hiddenIcons);
+  }
+  if (signal?.aborted) {
+    const distBase = findDistBase();
+    if (distBase) fs.rmSync(distBase, { recursive: true, force: true });
+    throw signal.reason;
+  }
+  const errorFiles = collectRenpyErrorFiles(
+    [{ dir: projectPath }, { dir: path.join(projectPath, 'game') }, { dir: sdkRoot, prefix: 'launcher-' }],
+    logDir,
+    startedAt,
+  );
+  if (result.error) {
+    fail(`Could not run the Ren'Py launcher ${launcher}: ${result.error.message}`, errorFiles);
+  } else if (result.timedOut) {
+    fail(`Ren'Py build timed out after ${(300 * requested.length) / 60} minutes.`, errorFiles);
+  } else if (result.code !== 0) {
+    fail(`Ren'Py build failed (exit code ${result.code}).`, errorFiles);
+  }
+  const distBase = findDistBase();
+  if (!distBase) {
+    fail(`Ren'Py build output not found under ${projectParent} (expected *-dists directory).`, errorFiles);
+  }
+  const distEntries = fs.readdirSync(distBase);
+  const tmpDir = path.join(os.tmpdir(), `renpy-web-${gameId}-${Date.now()}`);
+  try {
+    let webDir;
+    if (web) {
+      const webEntry = distEntries.find((e) => e.includes('web'));
+      if (!webEntry) fail(`Ren'Py web build output (web folder or zip) not found under ${distBase}.`);
+      const webPath = path.join(distBase, webEntry);
+      fs.mkdirSync(tmpDir, { recursive: true });
+      if (fs.statSync(webPath).isDirectory()) {
+        copyDirContents(webPath, tmpDir);
+      } else if (webEntry.toLowerCase().endsWith('.zip')) {
+        extractZipSafely(webPath, tmpDir, { limits: zipLimits });
+      } else {
+        fail(`Unexpected Ren'Py web build output: ${webPath}`);
+      }
+      webDir = tmpDir;
+    }
+    /** @type {Record<string, string>} */
+    const archives = {};
+    for (const name of packages) {
+      // e.g. my_game-1.0-pc.zip, my_game-1.0-linux.tar.bz2
+      const suffix = new RegExp(`-${name}(\\.|$)`, 'i');
+      const archive = distEntries.find((e) => suffix.test(e) && fs.statSync(path.join(distBase, e)).isFile());
+      if (!archive) fail(`Ren'Py ${name} package not found under ${distBase}.`);
+      archives[name] = path.join(distBase, archive);
+    }
+    try {
+      return storeCachedBuild(cacheKey, { webDir, packages: archives });
+    } catch (err) {
+      fail(`Could not store the Ren'Py build in ${path.relative(ROOT_DIR, RENPY_CACHE_DIR)}/: ${err.message}`);
+    }
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    fs.rmSync(distBase, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Copy directory contents from src to dest (dest must exist).
+ */
+function copyDirContents(src, dest) {
+  const entries = fs.readdirSync(src, { withFileTypes: true });
+  for (const e of entries) {
+    const srcPath = path.join(src, e.name);
+    const destPath = path.join(dest, e.name);
+    if (e.isDirectory()) {
+      fs.mkdirSync(destPath, { recursive: true });
+      copyDirContents(srcPath, destPath);
+    } else {
+      fs.copyFileSync(srcPath, destPath);
+    }
+  }
+}
+
+/**
+ * List entry names in a zip file, refusing archives that are unsafe to extract
+ * (paths escaping the game dir, outside symlinks, over the size/file limits).
+ * @param {string} zipPath - Absolute path to the zip file
+ * @param {import('./safe-zip.mjs').ZipLimits} limits
+ * @returns {string[]} Entry path strings
+ */
+function getZipEntryNames(zipPath, limits) {
+  let inspection;
+  try {
+    inspection = inspectZip(zipPath, limits);
+  } catch (err) {
+    error(`Could not read zip: ${err.message}`, InvalidOptionError);
+  }
+  if (inspection.problems.length > 0) {
+    error(formatZipProblems(zipPath, inspection.problems), InvalidOptionError);
+  }
+  return inspection.entries.map((e) => e.name);
+}
+
+/**
+ * Determine how to unpack the zip: flatten from a single root folder, or extract all.
+ * Accepts any zip structure.
+ */
+function getUnpackStructureFromEntryNames(entryNames) {
+  const topLevel = new Set();
+  for (const name of entryNames) {
+    const parts = name.split('/').filter(Boolean);
+    if (parts.length > 0) {
+      topLevel.add(parts[0]);
+    }
+  }
+  // A single top-level file (e.g. just index.html) is not a folder to flatten
+  if (topLevel.size === 1 && entryNames.some((name) => name.startsWith(`${[...topLevel][0]}/`))) {
+    const rootFolder = [...topLevel][0];
+    return { flatten: true, rootFolder };
+  }
+  return { flatten: false };
+}
+
+function getRootHtmlFiles(gameDir) {
+  if (!fs.existsSync(gameDir)) return [];
+  return fs.readdirSync(gameDir, { withFileTypes: true })
+    .filter(d => d.isFile() && d.name.toLowerCase().endsWith('.html'))
+    .map(d => d.name)
+    .sort();
+}
+
+/**
+ * If gameDir has no HTML at root but exactly one immediate subdirectory that contains
+ * .html files, move that subdirectory's contents up to gameDir root (for Ren'Py web
+ * builds that nest output one level deep).
+ */
+function flattenHtmlSubdirIfNeeded(gameDir) {
+  if (getRootHtmlFiles(gameDir).length > 0) return;
+  if (!fs.existsSync(gameDir)) return;
+  const entries = fs.readdirSync(gameDir, { withFileTypes: true });
+  const subdirs = entries.filter((e) => e.isDirectory()).map((e) => e.name);
+  const htmlContainingSubdirs = subdirs.filter((subName) => {
+    const subPath = path.join(gameDir, subName);
+    const subEntries = fs.readdirSync(subPath, { withFileTypes: true });
+    return subEntries.some(
+      (e) => e.isFile() && e.name.toLowerCase().endsWith('.html')
+    );
+  });
+  if (htmlContainingSubdirs.length !== 1) return;
+  const subName = htmlContainingSubdirs[0];
+  const subPath = path.join(gameDir, subName);
+  const tmpFlat = path.join(os.tmpdir(), `renpy-flatten-${Date.now()}`);
+  fs.mkdirSync(tmpFlat, { recursive: true });
+  try {
+    copyDirContents(subPath, tmpFlat);
+    const toRemove = path.join(gameDir, subName);
+    fs.rmSync(toRemove, { recursive: true });
+    copyDirContents(tmpFlat, gameDir);
+  } finally {
+    if (fs.existsSync(tmpFlat)) fs.rmSync(tmpFlat, { recursive: true });
+  }
+}
+
+/**
+ * Find image files under dir (recursive). Prefer root-level; prefer names suggesting thumbnail/splash.
+ * Returns { filePath, ext } for the best candidate, or null if none.
+ */
+function findThumbnailCandidate(gameDir) {
+  const candidates = [];
+  function walk(dir, isRoot = true) {
+    if (!fs.existsSync(dir)) return;
+    const entries = fs.readdirSync(dir, { withFileTypes: true });
+    for (const e of entries) {
+      const fullPath = path.join(dir, e.name);
+      if (e.isDirectory()) {
+        walk(fullPath, false);
+      } else if (e.isFile()) {
+        const ext = path.extname(e.name).toLowerCase();
+        if (IMAGE_EXTENSIONS.has(ext)) {
+          const relativePath = path.relative(gameDir, fullPath);
+          const baseName = path.basename(e.name, ext).toLowerCase();
+          let score = 0;
+          if (isRoot) score += 100;
+          for (const hint of THUMBNAIL_NAME_HINTS) {
+            if (baseName.includes(hint)) {
+              score += 50 - THUMBNAIL_NAME_HINTS.indexOf(hint);
+              break;
+            }
+          }
+          try {
+            const stat = fs.statSync(fullPath);
+            if (stat.size > 1000) score += 10;
+            candidates.push({ filePath: fullPath, ext, score, size: stat.size });
+          } catch (_) {}
+        }
+      }
+    }
+  }
+  walk(gameDir);
+  if (candidates.length === 0) return null;
+  candidates.sort((a, b) => b.score - a.score || b.size - a.size);
+  return { filePath: candidates[0].filePath, ext: candidates[0].ext };
+}
+
+/**
+ * Resolve a chosen thumbnail: first relative to the game root (after flattening),
+ * then, for --thumbnail, as a path on disk.
+ * @param {string | null} gameDir - null when there is no zip or directory
+ * @param {string} spec - e.g. img/cover.png or ./art/cover.png
+ * @param {{ label: string, allowDisk: boolean }} options - label names the source in errors
+ * @returns {{ filePath: string, ext: string }}
+ */
+function resolveThumbnail(gameDir, spec, { label, allowDisk }) {
+  const candidates = [];
+  if (gameDir) {
+    const inGame = path.resolve(gameDir, spec);
+    if (inGame.startsWith(path.resolve(gameDir) + path.sep)) candidates.push(inGame);
+  }
+  if (allowDisk) candidates.push(path.resolve(spec));
+  const filePath = candidates.find((p) => fs.existsSync(p) && fs.statSync(p).isFile());
+  if (!filePath) {
+    const where = [gameDir && 'in the game (relative to the zip root after flattening)', allowDisk && 'on disk'].filter(Boolean).join(' or ');
+    error(`${label} "${spec}" not found ${where}.`, InvalidOptionError);
+  }
+  const ext = path.extname(filePath).toLowerCase();
+  if (!IMAGE_EXTENSIONS.has(ext)) {
+    error(`${label} "${spec}" is not an image (${[...IMAGE_EXTENSIONS].join(', ')}).`, InvalidOptionError);
+  }
+  return { filePath, ext };
+}
+
+/**
+ * Check --download sources before anything is written: files must exist and each
+ * platform / file name may appear only once.
+ * @param {{ platform: string, filePath: string }[]} specs
+ * @returns {{ platform: string, sourcePath: string, file: string }[]}
+ */
+function resolveDownloadSpecs(specs) {
+  const seenPlatforms = new Set();
+  const seenFiles = new Set();
+  return specs.map(({ platform, filePath }) => {
+    const sourcePath = path.resolve(filePath);
+    if (!fs.existsSync(sourcePath) || !fs.statSync(sourcePath).isFile()) {
+      error(`Download file not found for ${platform}: ${sourcePath}`, InvalidOptionError);
+    }
+    if (seenPlatforms.has(platform)) {
+      error(`Platform "${platform}" was given more than once with --download.`, InvalidOptionError);
+    }
+    const file = path.basename(sourcePath);
+    if (seenFiles.has(file)) {
+      error(`Two downloads share the file name "${file}"; rename one of them.`, InvalidOptionError);
+    }
+    seenPlatforms.add(platform);
+    seenFiles.add(file);
+    return { platform, sourcePath, file };
+  });
+}
+
+/**
+ * Copy download archives into downloads/<gameId>/ and merge them into the game's
+ * existing downloads list. A platform that is given again replaces its previous
+ * entry (and file); other platforms are kept.
+ * @param {string} gameId
+ * @param {{ platform: string, sourcePath: string, file: string }[]} resolved
+ * @param {{ platform: string, file: string, size: number, sha256: string }[]} existing
+ * @param {string} downloadDir - Where downloads/<gameId>/ is being staged
+ * @param {Reporter} report
+ * @returns {{ platform: string, file: string, size: number, sha256: string }[]}
+ */
+function installDownloads(gameId, resolved, existing, downloadDir, report) {
+  const byPlatform = new Map(existing.map((d) => [d.platform, d]));
+  for (const { platform, file } of resolved) {
+    const clash = existing.find((d) => d.platform !== platform && d.file === file);
+    if (clash) {
+      error(`Download file name "${file}" is already used by the ${clash.platform} download; rename it.`, InvalidOptionError);
+    }
+  }
+  fs.mkdirSync(downloadDir, { recursive: true });
+  for (const { platform, sourcePath, file } of resolved) {
+    const previous = byPlatform.get(platform);
+    const stillUsed = (name) => [...byPlatform.values()].some((d) => d.platform !== platform && d.file === name);
+    if (previous && previous.file !== file && !stillUsed(previous.file)) {
+      fs.rmSync(path.join(downloadDir, previous.file), { force: true });
+    }
+    const destPath = path.join(downloadDir, file);
+    fs.copyFileSync(sourcePath, destPath);
+    const entry = {
+      platform,
+      file,
+      size: fs.statSync(destPath).size,
+      sha256: sha256File(destPath),
+    };
+    byPlatform.set(platform, entry);
+    report('success', `Download (${platform}) copied: ${path.basename(sourcePath)} → downloads/${gameId}/${file}`);
+  }
+  return [...byPlatform.values()];
+}
+
+/**
+ * Start the staged downloads/<gameId>/ from the live one. Files are hard-linked
+ * where possible (installDownloads replaces, never edits, a file).
+ * @param {string} gameId
+ * @param {string} stagedDir
+ */
+function stageLiveDownloads(gameId, stagedDir) {
+  const liveDir = path.join(DOWNLOADS_DIR, gameId);
+  fs.mkdirSync(stagedDir, { recursive: true });
+  if (!fs.existsSync(liveDir)) return;
+  for (const name of fs.readdirSync(liveDir)) {
+    const from = path.join(liveDir, name);
+    if (!fs.statSync(from).isFile()) continue;
+    try {
+      fs.linkSync(from, path.join(stagedDir, name));
+    } catch {
+      fs.copyFileSync(from, path.join(stagedDir, name));
+    }
+  }
+}
+
+/**
+ * Moves that put the staged public/images/games/<gameId>/ in place. What was not
+ * made again this run (the cover, or the media/ gallery) is carried over from
+ * the live directory first; a new cover also retires the old single-file
+ * thumbnails (<gameId>.png etc.).
+ * @param {import('./staging.mjs').Stage} stage
+ * @param {string} stagedImagesDir - Staged counterpart of public/images/games
+ * @param {string} gameId
+ * @param {{ coverStaged: boolean, mediaStaged: boolean }} staged
+ * @returns {import('./staging.mjs').Move[]}
+ */
+function stagedImageMoves(stage, stagedImagesDir, gameId, { coverStaged, mediaStaged }) {
+  const stagedDir = path.join(stagedImagesDir, gameId);
+  const liveDir = path.join(THUMBNAILS_DIR, gameId);
+  if (!fs.existsSync(stagedDir)) return [];
+  const carried = fs.existsSync(liveDir)
+    ? fs.readdirSync(liveDir).filter((name) => (name === MEDIA_DIR_NAME ? !mediaStaged : !coverStaged))
+    : [];
+  const legacyThumbnails = coverStaged
+    ? ['.png', '.jpg', '.jpeg', '.webp', '.gif'].map((ext) => [
+      path.join(THUMBNAILS_DIR, `${gameId}${ext}`),
+      path.join(stage.backupDir, `thumbnail${ext}`),
+    ])
+    : [];
+  return [
+    ...carried.map((name) => [path.join(liveDir, name), path.join(stagedDir, name)]),
+    ...swapMoves(stage, stagedDir, liveDir, 'images'),
+    ...legacyThumbnails,
+  ];
+}
+
+
+/**
+ * Ask a question through the caller's prompt, or fail when there is none.
+ * @param {((question: string) => Promise<string>) | null} prompt
+ * @param {string} question
+ * @param {{ missing: string }} options - missing: error message naming the flag to pass
+ */
+async function ask(prompt, question, { missing }) {
+  if (!prompt) {
+    error(`${missing} (non-interactive mode)`, MissingAnswerError);
+  }
+  return (await prompt(question)).trim();
+}
+
+/**
+ * @typedef {object} AddGameOptions
+ * @property {string} gameId - URL slug, e.g. my-game
+ * @property {string | null} [source] - Zip or directory with the web build (or Ren'Py project)
+ * @property {string | null} [version]
+ * @property {string | null} [name]
+ * @property {string | null} [type] - html, renpy, rpgmaker or download-only
+ * @property {string | null} [description]
+ * @property {string | null} [entry] - Root HTML file to use as the entry point
+ * @property {string | null} [thumbnail] - Image in the upload, or a file on disk
+ * @property {string[] | null} [tags]
+ * @property {string | null} [headers] - HTTP headers profile
+ * @property {string | null} [changelog] - File or Markdown text
+ * @property {boolean | null} [playable]
+ * @property {number | string | null} [maxSize] - MB
+ * @property {number | string | null} [maxFiles]
+ * @property {(string | { platform: string, filePath: string })[]} [downloads] - "windows=./build.zip" or objects
+ * @property {string[]} [screenshots]
+ * @property {string[] | null} [renpyPackages]
+ * @property {string | null} [renpyVersion]
+ * @property {boolean} [nonInteractive] - Never call prompt; missing answers throw MissingAnswerError
+ * @property {boolean} [noCache]
+ * @property {boolean} [keepFailed]
+ * @property {boolean} [dryRun] - Report what would happen; nothing is written
+ * @property {((question: string) => Promise<string>) | null} [prompt] - Asks for answers that are neither given nor detectable
+ * @property {ProgressListener} [onProgress]
+ * @property {AbortSignal} [signal] - Stops the run before the live game is changed; the call
+ *   then rejects with the signal's reason and the staged files are removed
+ */
+
+/**
+ * @typedef {object} AddGameResult
+ * @property {string} gameId
+ * @property {boolean} created - A new game (false: an update)
+ * @property {string} version
+ * @property {boolean} [dryRun]
+ * @property {string | null} playDir - Relative to the repository
+ * @property {boolean} [playable]
+ * @property {string | null} [entryPoint]
+ * @property {string} [thumbnail]
+ * @property {boolean} [thumbnailFound]
+ * @property {number[]} [thumbnailWidths]
+ * @property {string} [headers]
+ * @property {object[]} [media]
+ * @property {object[]} [downloads]
+ * @property {string} [metadataFile]
+ * @property {object} [game] - The games.yaml entry as saved
+ * @property {string[]} [nextSteps]
+ */
+
+const ADD_GAME_DEFAULTS = {
+  source: null,
+  version: null,
+  name: null,
+  type: null,
+  description: null,
+  entry: null,
+  thumbnail: null,
+  tags: null,
+  headers: null,
+  changelog: null,
+  playable: null,
+  maxSize: null,
+  maxFiles: null,
+  downloads: [],
+  screenshots: [],
+  renpyPackages: null,
+  renpyVersion: null,
+  nonInteractive: false,
+  noCache: false,
+  keepFailed: false,
+  dryRun: false,
+  prompt: null,
+  signal: null,
+};
+
+/**
+ * Fill in defaults and check option values.
+ * @param {AddGameOptions} input
+ */
+function normalizeAddGameOptions(input) {
+  const options = { ...ADD_GAME_DEFAULTS, ...input };
+  if (!options.gameId) error('gameId is required', InvalidOptionError);
+  if (!options.source && options.downloads.length === 0 && options.screenshots.length === 0) {
+    error('Nothing to add: give a zip or directory, downloads or screenshots', InvalidOptionError);
+  }
+  options.downloads = options.downloads.map((d) => {
+    const spec = typeof d === 'string' ? parseDownloadSpec(d) : { ...d, platform: String(d.platform).toLowerCase() };
+    if (!DOWNLOAD_PLATFORM_PATTERN.test(spec.platform)) {
+      error(`Invalid download platform "${spec.platform}". Use lowercase letters, digits and dashes (e.g. windows, mac, linux).`, InvalidOptionError);
+    }
+    return spec;
+  });
+  if (options.tags) options.tags = normalizeTags(options.tags);
+  if (options.renpyPackages) {
+    const packages = [...new Set(options.renpyPackages.map((p) => p.trim().toLowerCase()).filter(Boolean))];
+    if (packages.length === 0 || packages.some((p) => !RENPY_DESKTOP_PACKAGES.includes(p))) {
+      error(`Invalid --renpy-packages "${options.renpyPackages.join(',')}". Expected a comma-separated list of: ${RENPY_DESKTOP_PACKAGES.join(', ')}`, InvalidOptionError);
+    }
+    options.renpyPackages = packages;
+  }
+  if (options.type !== null && !GAME_TYPES.includes(options.type)) {
+    error(`Invalid --type "${options.type}". Expected one of: ${GAME_TYPES.join(', ')}`, InvalidOptionError);
+  }
+  if (options.headers !== null && !HEADER_PROFILE_NAMES.includes(options.headers)) {
+    error(`Invalid --headers "${options.headers}". Expected one of: ${HEADER_PROFILE_NAMES.join(', ')}`, InvalidOptionError);
+  }
+  if (options.renpyVersion !== null && !RENPY_VERSION_PATTERN.test(options.renpyVersion)) {
+    error(`Invalid --renpy-version "${options.renpyVersion}". Expected a Ren'Py version like 8.5.2`, InvalidOptionError);
+  }
+  for (const [flag, key] of [['--max-size', 'maxSize'], ['--max-files', 'maxFiles']]) {
+    if (options[key] === null) continue;
+    const value = Number(options[key]);
+    if (!Number.isFinite(value) || value <= 0) error(`${flag} must be a positive number, got "${options[key]}"`, InvalidOptionError);
+    options[key] = value;
+  }
+  if (!options.source && options.entry) {
+    error('--entry needs a zip or directory to pick from.', InvalidOptionError);
+  }
+  return options;
+}
+
+/**
+ * Add a game, or update it: a new version from a zip or directory, downloads,
+ * screenshots, or details (name, tags, ...). See add-game.mjs for what is done
+ * with an upload.
+ * @param {AddGameOptions} options
+ * @returns {Promise<AddGameResult>}
+ * @throws {LobbyError}
+ */
+export function addGame(options) {
+  return runExclusive((defer) => addGameSteps(normalizeAddGameOptions(options ?? {}), defer));
+}
+
+/**
+ * @param {AddGameOptions} options - Normalized
+ * @param {(cleanup: () => void) => void} defer
+ * @returns {Promise<AddGameResult>}
+ */
+async function addGameSteps(options, defer) {
+  const { gameId, source: zipPath, downloads, dryRun } = options;
+  const nonInteractive = options.nonInteractive || !options.prompt;
+  const prompt = nonInteractive ? null : options.prompt;
+  // GAME_NAME / GAME_TYPE / GAME_DESCRIPTION answer a new game's questions: nothing else is asked
+  const detailsFromEnv = process.env.GAME_NAME != null || process.env.GAME_TYPE != null || process.env.GAME_DESCRIPTION != null;
+  const { signal } = options;
+  const report = reporter(options.onProgress);
+
+  if (dryRun) {
+    report('warning', 'DRY RUN MODE - No changes will be made');
+  }
+
+  let resolvedDownloads = resolveDownloadSpecs(downloads);
+  // --changelog wins over a CHANGELOG.md in the upload
+  const screenshotFiles = options.screenshots.map((spec) => {
+    const filePath = path.resolve(spec);
+    if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) error(`--screenshot file not found: ${spec}`, InvalidOptionError);
+    if (!isMediaFile(filePath)) error(`--screenshot "${spec}" is not an image or video (png, jpg, webp, gif, mp4, webm).`, InvalidOptionError);
+    return filePath;
+  });
+  let changelog = options.changelog !== null ? readChangelogOption(options.changelog) || null : null;
+  const zipLimits = {
+    maxBytes: options.maxSize !== null ? options.maxSize * 1024 * 1024 : DEFAULT_ZIP_LIMITS.maxBytes,
+    maxFiles: options.maxFiles ?? DEFAULT_ZIP_LIMITS.maxFiles,
+  };
+  const hasSource = Boolean(zipPath);
+  const absoluteSourcePath = hasSource ? path.resolve(zipPath) : null;
+  if (hasSource && !fs.existsSync(absoluteSourcePath)) {
+    error(`Path not found: ${absoluteSourcePath}`, InvalidOptionError);
+  }
+
+  const isSourceDir = hasSource && fs.statSync(absoluteSourcePath).isDirectory();
+  report('step', `Processing game: ${gameId}`);
+  if (hasSource) {
+    report('step', `Source: ${absoluteSourcePath} (${isSourceDir ? 'directory' : 'zip'})`);
+  } else {
+    report('step', `Source: none (${downloads.length > 0 ? 'downloads' : 'screenshots'} only; play/ is left unchanged)`);
+  }
+
+  let unpackStructure;
+  let sourceDirForCopy = null; // set when isSourceDir: the folder we copy from
+  let zipEntryNames = null; // set when source is zip: list of entry names for structure/dry-run
+
+  if (!hasSource) {
+    unpackStructure = { flatten: false };
+  } else if (isSourceDir) {
+    unpackStructure = getUnpackStructureFromDir(absoluteSourcePath);
+    sourceDirForCopy = unpackStructure.flatten && unpackStructure.rootFolder
+      ? path.join(absoluteSourcePath, unpackStructure.rootFolder)
+      : absoluteSourcePath;
+    report('success', `Directory structure: ${unpackStructure.flatten ? `Single folder "${unpackStructure.rootFolder}" (will flatten)` : 'Root level'}`);
+  } else {
+    zipEntryNames = getZipEntryNames(absoluteSourcePath, zipLimits);
+    unpackStructure = getUnpackStructureFromEntryNames(zipEntryNames);
+    report('success', `Zip structure: ${unpackStructure.flatten ? `Single folder "${unpackStructure.rootFolder}" (will flatten)` : 'Root level'}`);
+  }
+
+  // Manifest values fill in whatever was not given as a flag
+  let manifestDownloads = [];
+  let manifestThumbnail = null;
+  let renpyVersionSource = options.renpyVersion ? '--renpy-version' : null;
+  if (hasSource) {
+    let manifest;
+    try {
+      manifest = isSourceDir
+        ? readManifestFromDir(sourceDirForCopy)
+        : readManifestFromZip(absoluteSourcePath, unpackStructure.flatten ? unpackStructure.rootFolder : undefined);
+    } catch (err) {
+      error(`Invalid manifest: ${err.message}`, InvalidOptionError);
+    }
+    if (manifest) {
+      report('success', `Manifest: ${manifest.fileName}`);
+      manifest.warnings.forEach((w) => report('warning', `  Warning: ${w}`));
+      options.version ??= manifest.version ?? null;
+      options.name ??= manifest.name ?? null;
+      options.type ??= manifest.type ?? null;
+      options.description ??= manifest.description ?? null;
+      options.entry ??= manifest.entryPoint ?? null;
+      // Unlike --thumbnail, the manifest's thumbnail must be inside the upload
+      if (!options.thumbnail && manifest.thumbnail) manifestThumbnail = manifest.thumbnail;
+      options.tags ??= manifest.tags ?? null;
+      if (!options.renpyVersion && manifest.renpyVersion) {
+        options.renpyVersion = manifest.renpyVersion;
+        renpyVersionSource = manifest.fileName;
+      }
+      const flagPlatforms = new Set(downloads.map((d) => d.platform));
+      manifestDownloads = (manifest.downloads ?? []).filter((d) => !flagPlatforms.has(d.platform));
+      for (const d of manifestDownloads) {
+        if (!DOWNLOAD_PLATFORM_PATTERN.test(d.platform)) {
+          error(`Invalid download platform "${d.platform}" in ${manifest.fileName}. Use lowercase letters, digits and dashes.`, InvalidOptionError);
+        }
+      }
+    }
+  }
+
+  // Read metadata
+  if (!dryRun) await lockGamesYaml(defer, report, signal);
+  const metadata = loadMetadata();
+  const existingGameIndex = metadata.games.findIndex(g => g.id === gameId);
+  const isNewGame = existingGameIndex === -1;
+
+  // Determine version
+  let finalVersion = options.version;
+  if (!finalVersion && (hasSource || resolvedDownloads.length > 0)) {
+    const nameForVersion = !hasSource
+      ? path.basename(resolvedDownloads[0].sourcePath)
+      : isSourceDir ? path.basename(sourceDirForCopy ?? absoluteSourcePath) : path.basename(zipPath);
+    finalVersion = extractVersionFromFilename(nameForVersion);
+  }
+  if (!finalVersion && !hasSource && !isNewGame) {
+    finalVersion = metadata.games[existingGameIndex].version;
+  }
+  if (!finalVersion) {
+    if (dryRun && !nonInteractive) {
+      finalVersion = '1.0.0';
+      report('warning', 'Would prompt for version (using 1.0.0 for dry run)');
+    } else {
+      finalVersion = await ask(prompt, 'Enter version (e.g., 1.0.0): ', {
+        missing: 'Version not found in the file name; pass --version',
+      });
+      if (!finalVersion) {
+        finalVersion = '1.0.0';
+      }
+    }
+  }
+
+  finalVersion = String(finalVersion);
+  if (!VERSION_PATTERN.test(finalVersion)) {
+    error(`Invalid version "${finalVersion}". Use letters, digits, dots, dashes, underscores or plus signs (e.g. 1.2.0).`, InvalidOptionError);
+  }
+  report('success', `Version: ${finalVersion}`);
+
+  const existingGame = isNewGame ? null : metadata.games[existingGameIndex];
+  if (isNewGame) {
+    report('warning', `New game detected. Will create entry for "${gameId}"`);
+  } else {
+    report('success', `Updating existing game: ${existingGame.name}`);
+  }
+  if (isNewGame && (nonInteractive || detailsFromEnv) && !(options.name ?? process.env.GAME_NAME)) {
+    error('New game needs a name; pass --name or set GAME_NAME (non-interactive mode)', MissingAnswerError);
+  }
+  if (isNewGame && (nonInteractive || detailsFromEnv) && !(options.description ?? process.env.GAME_DESCRIPTION)) {
+    error('New game needs a description; pass --description or set GAME_DESCRIPTION (non-interactive mode)', MissingAnswerError);
+  }
+  if (!hasSource && existingGame?.versions?.length && !existingGame.versions.some((v) => v.version === finalVersion)) {
+    error(`"${gameId}" has no web build for version ${finalVersion}. Pass the zip or folder for that version too, or leave out --version.`, InvalidOptionError);
+  }
+
+  // Prepare game directory: play/<id>/<version>/
+  const gameRoot = path.join(GAMES_DIR, gameId);
+  const gameDir = path.join(gameRoot, finalVersion);
+  const needsMigration = hasSource && existingGame && !Array.isArray(existingGame.versions)
+    && existingGame.entryPoint && fs.existsSync(gameRoot);
+
+  if (dryRun) {
+    report('warning', 'Would perform the following actions:');
+    if (!hasSource) {
+      report('info', `  - Leave ${gameRoot} unchanged (no zip or directory given)`);
+    } else {
+      if (needsMigration) {
+        report('info', `  - Move the existing build in ${gameRoot} to ${path.join(gameRoot, String(existingGame.version))}`);
+      }
+      report('info', `  - ${fs.existsSync(gameDir) || (needsMigration && String(existingGame.version) === finalVersion) ? 'Replace' : 'Create'} directory: ${gameDir} (built in ${path.relative(ROOT_DIR, STAGING_DIR)}/ first; other versions are kept)`);
+    }
+    const renpyPackagesNote = options.renpyPackages ? ` and ${options.renpyPackages.join(', ')} (attached as downloads)` : '';
+    const renpyVersionNote = options.renpyVersion
+      ? `Ren'Py ${options.renpyVersion} (${renpyVersionSource})`
+      : `the Ren'Py version the project records, else ${existingGame?.renpyVersion ?? DEFAULT_RENPY_VERSION}`;
+    let uploadFiles = null;
+    if (!hasSource) {
+      // Nothing to unpack
+    } else if (isSourceDir) {
+      report('info', `  - Copy directory ${sourceDirForCopy} to game dir`);
+      if (dirWouldYieldRenpyProject(absoluteSourcePath, unpackStructure)) {
+        report('info', `  - Detect Ren'Py project; would build to web${renpyPackagesNote} with ${renpyVersionNote} (requires SDK + Renpyweb), ${options.noCache ? 'ignoring' : 'or reuse'} a cached build, then use web output as game content`);
+      } else if (dirWouldYieldRenpyDistribution(absoluteSourcePath, unpackStructure)) {
+        report('info', '  - Detect Ren\'Py PC distribution (compiled); would error: need project source (.rpy) or pre-built web zip');
+      }
+      uploadFiles = listFiles(sourceDirForCopy);
+    } else {
+      report('info', `  - Extract zip (${zipEntryNames.length} entries)`);
+      if (zipWouldYieldRenpyProject(zipEntryNames, unpackStructure)) {
+        report('info', `  - Detect Ren'Py project; would build to web${renpyPackagesNote} with ${renpyVersionNote} (requires SDK + Renpyweb), ${options.noCache ? 'ignoring' : 'or reuse'} a cached build, then use web output as game content`);
+      } else if (zipWouldYieldRenpyDistribution(zipEntryNames, unpackStructure)) {
+        report('info', '  - Detect Ren\'Py PC distribution (compiled); would error: need project source (.rpy) or pre-built web zip');
+      }
+      const prefix = unpackStructure.flatten ? `${unpackStructure.rootFolder}/` : '';
+      uploadFiles = zipEntryNames.filter((n) => n.startsWith(prefix)).map((n) => n.slice(prefix.length));
+    }
+    const rpgMakerPreview = uploadFiles && detectRpgMaker(uploadFiles);
+    if (rpgMakerPreview?.webRoot === null) {
+      report('info', `  - Detect ${describeRpgMaker(rpgMakerPreview)}; would error: export a web deployment, or attach the build with --download`);
+    } else if (rpgMakerPreview) {
+      const steps = [rpgMakerPreview.webRoot && `flatten ${rpgMakerPreview.webRoot}/`, rpgMakerPreview.desktop && 'drop the NW.js runtime', 'set type rpgmaker'];
+      report('info', `  - Detect ${describeRpgMaker(rpgMakerPreview)}; would ${steps.filter(Boolean).join(', ')}`);
+    }
+    const headersPreview = options.headers ?? (uploadFiles ? detectHeaderProfile(uploadFiles) : null);
+    if (headersPreview && headersPreview !== 'default') {
+      report('info', `  - Serve /play/${gameId}/ with the ${headersPreview} headers profile`);
+    }
+    const uploadScreenshots = (uploadFiles ?? []).filter((f) => /^screenshots\/[^/]+$/i.test(f) && isMediaFile(f));
+    if (uploadScreenshots.length > 0 || screenshotFiles.length > 0) {
+      const count = groupMediaFiles([...uploadScreenshots, ...screenshotFiles]).length;
+      report('info', `  - Replace the gallery with ${count} screenshot(s)/trailer(s) in public/images/games/${gameId}/${MEDIA_DIR_NAME}/`);
+    }
+    if (changelog) {
+      report('info', `  - Record the changelog from --changelog with version ${finalVersion}`);
+    } else if (uploadFiles?.some(isChangelogPath)) {
+      report('info', `  - Record the ${finalVersion} section of ${uploadFiles.find(isChangelogPath)} with version ${finalVersion}`);
+    }
+    if (hasSource) {
+      report('info', `  - Prompt for which root HTML file is the game entry point`);
+    }
+    if (hasSource || options.thumbnail) {
+      report('info', `  - Make a 16:9 cover (${COVER_WIDTHS.join('/')} px, JPEG + WebP) in public/images/games/${gameId}/ from ${options.thumbnail ?? manifestThumbnail ?? 'the best image found'}, or a placeholder`);
+    }
+    for (const d of resolvedDownloads) {
+      report('info', `  - Copy ${d.platform} download ${d.sourcePath} to downloads/${gameId}/${d.file}`);
+    }
+    for (const d of manifestDownloads) {
+      report('info', `  - Move ${d.platform} download ${d.file} from the upload to downloads/${gameId}/${path.basename(d.file)}`);
+    }
+    const hasDownloads = resolvedDownloads.length + manifestDownloads.length > 0;
+    report('info', `  - Update metadata with version ${finalVersion}${hasSource ? ' and entryPoint' : ''}${hasDownloads ? ' and downloads' : ''}`);
+    report('success', 'Dry run complete. No changes were made.');
+    return { gameId, dryRun: true, created: isNewGame, version: finalVersion, playDir: hasSource ? path.relative(ROOT_DIR, gameDir) : null };
+  }
+
+  let builtRenpy = false;
+  let renpyVersion = null;
+  let entryPoint = null;
+  let thumbnailCandidate = null;
+  let cover = null;
+  let rpgMaker = null;
+  let detectedHeaders = null;
+  let mediaSources = [];
+  let media = null;
+  // Everything is written to the stage; nothing live changes until commitStage()
+  const stage = createStage(gameId);
+  let keepStage = false;
+  // Also when the call fails or is aborted part way
+  defer(() => {
+    if (!keepStage) discardStage(stage);
+  });
+  const buildDir = path.join(stage.dir, 'play', finalVersion);
+  const stageImagesDir = path.join(stage.dir, 'images');
+  const stageDownloadsDir = path.join(stage.dir, 'downloads', gameId);
+  // Files taken out of the upload before a Ren'Py build can replace the build directory
+  const holdDir = path.join(stage.dir, 'hold');
+  const legacyMoves = needsMigration ? legacyLayoutMoves(gameRoot, existingGame, stage) : [];
+
+  if (hasSource) {
+    fs.mkdirSync(buildDir, { recursive: true });
+
+    if (isSourceDir) {
+      try {
+        copyDirContents(sourceDirForCopy, buildDir);
+        report('success', `Copied directory to: ${buildDir}`);
+      } catch (err) {
+        error(`Failed to copy directory: ${err.message}`);
+      }
+    } else {
+      try {
+        extractZipSafely(absoluteSourcePath, buildDir, {
+          stripPrefix: unpackStructure.flatten ? unpackStructure.rootFolder : undefined,
+          limits: zipLimits,
+        });
+        report('success', `Extracted to: ${buildDir}`);
+      } catch (err) {
+        error(`Failed to extract zip: ${err.message}`);
+      }
+    }
+
+    // Download archives shipped inside the upload are moved out so they are not
+    // served from play/; a chosen thumbnail is copied aside for the same reason.
+    const thumbnailSpec = options.thumbnail ?? manifestThumbnail;
+    const screenshotsDir = findScreenshotsDir(buildDir);
+    if (manifestDownloads.length > 0 || thumbnailSpec || screenshotsDir) {
+      fs.mkdirSync(holdDir, { recursive: true });
+    }
+    const heldDownloads = manifestDownloads.map(({ platform, file }) => {
+      const filePath = path.resolve(buildDir, file);
+      if (!filePath.startsWith(path.resolve(buildDir) + path.sep) || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+        error(`Manifest download for ${platform} not found in the upload: ${file}`);
+      }
+      const heldPath = path.join(holdDir, path.basename(filePath));
+      fs.renameSync(filePath, heldPath);
+      return { platform, filePath: heldPath };
+    });
+    resolvedDownloads = resolveDownloadSpecs([...downloads, ...heldDownloads]);
+    if (thumbnailSpec) {
+      const chosen = resolveThumbnail(buildDir, thumbnailSpec, {
+        label: options.thumbnail ? '--thumbnail' : 'Manifest thumbnail',
+        allowDisk: Boolean(options.thumbnail),
+      });
+      const heldPath = path.join(holdDir, `thumbnail${chosen.ext}`);
+      fs.copyFileSync(chosen.filePath, heldPath);
+      thumbnailCandidate = { filePath: heldPath, ext: chosen.ext, name: path.basename(chosen.filePath) };
+    }
+    if (screenshotsDir) {
+      const heldScreenshots = path.join(holdDir, 'screenshots');
+      fs.renameSync(screenshotsDir, heldScreenshots);
+      mediaSources = collectScreenshots(heldScreenshots);
+    }
+
+    const changelogFile = changelog ? null : findChangelogFile(buildDir);
+    if (changelogFile) {
+      changelog = changelogForVersion(fs.readFileSync(changelogFile, 'utf-8'), finalVersion);
+      if (changelog) {
+        report('success', `Changelog for ${finalVersion}: ${path.basename(changelogFile)}`);
+      } else {
+        report('warning', `${path.basename(changelogFile)} has no section for ${finalVersion}; no changelog recorded`);
+      }
+    }
+
+    const projectPath = findRenpyProjectRoot(buildDir);
+    if (projectPath) {
+      const pinned = options.renpyVersion
+        ? { version: options.renpyVersion, source: renpyVersionSource }
+        : detectRenpyVersion(projectPath)
+          ?? (existingGame?.renpyVersion ? { version: existingGame.renpyVersion, source: 'games.yaml' } : null)
+          ?? { version: DEFAULT_RENPY_VERSION, source: process.env.RENPY_VERSION ? 'RENPY_VERSION' : 'default' };
+      renpyVersion = pinned.version;
+      report('step', `Ren'Py project; building with Ren'Py ${renpyVersion} (${pinned.source})`);
+      const sdkRoot = getSdkRoot(renpyVersion);
+      if (!sdkRoot) {
+        const installed = listInstalledSdks().map((sdk) => sdk.version);
+        error(
+          `Ren'Py ${renpyVersion} (from ${pinned.source}) is not installed. Run: npm run install:renpy -- --version ${renpyVersion} --web` +
+          (installed.length ? `\nInstalled: ${installed.join(', ')}. To build with one of those instead, pass --renpy-version <version>.` : '')
+        );
+      }
+      if (!hasWebSupport(sdkRoot)) {
+        error(`Renpyweb is not installed for Ren'Py ${renpyVersion}. Run: npm run install:renpy -- --version ${renpyVersion} --web`);
+      }
+      const launcher = getRenpyLauncher(sdkRoot);
+      if (!launcher) {
+        error('Ren\'Py launcher not found in SDK.');
+      }
+      const cacheKey = renpyBuildKey(projectPath, { sdkVersion: path.basename(sdkRoot), webSupport: hasWebSupport(sdkRoot) });
+      const packages = options.renpyPackages ?? [];
+      let build = options.noCache ? null : readCachedBuild(cacheKey);
+      const missingPackages = build ? packages.filter((p) => !build.packages[p]) : packages;
+      if (build) {
+        report('success', `Reusing cached Ren'Py build (${path.relative(ROOT_DIR, path.dirname(build.webDir))}); pass --no-cache to rebuild`);
+      }
+      if (!build || missingPackages.length > 0) {
+        build = await buildRenpyProject({
+          gameId, gameDir: buildDir, projectPath, sdkRoot, launcher, cacheKey, zipLimits, web: !build, packages: missingPackages,
+          keepFailed: options.keepFailed, report, signal,
+        });
+      }
+      fs.rmSync(buildDir, { recursive: true });
+      fs.mkdirSync(buildDir, { recursive: true });
+      copyDirContents(build.webDir, buildDir);
+      // Desktop archives become downloads; --download and the manifest win for their platforms
+      const takenPlatforms = new Set(resolvedDownloads.map((d) => d.platform));
+      const packageDownloads = packages
+        .filter((p) => !takenPlatforms.has(p))
+        .map((p) => ({ platform: p, filePath: build.packages[p] }));
+      packages.filter((p) => takenPlatforms.has(p)).forEach((p) => report('warning', `Ren'Py ${p} package not attached: a ${p} download was given`));
+      if (packageDownloads.length > 0) {
+        resolvedDownloads = resolveDownloadSpecs([
+          ...resolvedDownloads.map((d) => ({ platform: d.platform, filePath: d.sourcePath })),
+          ...packageDownloads,
+        ]);
+        report('success', `Ren'Py packages attached as downloads: ${packageDownloads.map((d) => path.basename(d.filePath)).join(', ')}`);
+      }
+      builtRenpy = true;
+      report('success', 'Ren\'Py web build installed to game directory');
+    }
+
+    // Ren'Py web output may be one level deep (e.g. game-name-web/game-name/index.html)
+    if (builtRenpy) {
+      flattenHtmlSubdirIfNeeded(buildDir);
+    } else {
+      if (options.renpyPackages) report('warning', '--renpy-packages ignored: the upload is not a Ren\'Py project');
+      if (renpyVersionSource) report('warning', `Ren'Py version from ${renpyVersionSource} ignored: the upload is not a Ren'Py project`);
+    }
+
+    // RPG Maker desktop deployments wrap the web files in an NW.js runtime; keep only the web files
+    rpgMaker = builtRenpy ? null : detectRpgMaker(listFiles(buildDir));
+    if (rpgMaker) {
+      report(rpgMaker.webRoot === null ? 'warning' : 'success', `Detected ${describeRpgMaker(rpgMaker)}`);
+      if (rpgMaker.webRoot === null) {
+        error(
+          'This RPG Maker build only runs on the desktop, so it cannot be played in the browser. ' +
+          'Export a "Web browsers/Android/iOS" deployment from RPG Maker MV/MZ and upload that, ' +
+          'or attach this build as a download with --download <platform>=<file>.'
+        );
+      }
+      if (rpgMaker.webRoot) {
+        flattenRpgMakerWebRoot(buildDir, rpgMaker.webRoot);
+        report('success', `Moved ${rpgMaker.webRoot}/ to the game root`);
+      }
+      if (rpgMaker.desktop) {
+        const removed = pruneNwjsRuntime(buildDir);
+        if (removed.length) report('warning', `Removed desktop runtime files: ${removed.join(', ')}`);
+      }
+    }
+
+    // Engines that need special HTTP headers (Godot: COOP/COEP, Unity: Content-Encoding)
+    detectedHeaders = detectHeaderProfile(listFiles(buildDir));
+    if (detectedHeaders !== 'default') {
+      report('success', `Detected ${detectedHeaders} export; headers profile: ${detectedHeaders}`);
+    }
+
+    const rootHtmlFiles = getRootHtmlFiles(buildDir);
+    if (rootHtmlFiles.length === 0) {
+      const distRoot = findRenpyDistributionRoot(buildDir);
+      if (distRoot) {
+        error(
+          'This looks like a Ren\'Py PC distribution (compiled game), not the project source. ' +
+          'To host the game on the web we need either: (1) the Ren\'Py project with .rpy source files—then we can build for web automatically—or ' +
+          '(2) a zip or folder that already contains the web build (HTML/JS files at the root). ' +
+          'Install the Ren\'Py SDK and Renpyweb with: npm run install:renpy -- --web'
+        );
+      }
+      keepStage = true;
+      error(
+        'No HTML files found at the root of the extracted game. ' +
+        'Add at least one .html file at the root of the zip or folder, or use a Ren\'Py project (with .rpy source) so we can build it for web. ' +
+        `The live game was not changed; staged copy left in place for inspection: ${buildDir}`
+      );
+    }
+
+    if (options.entry) {
+      if (!rootHtmlFiles.includes(options.entry)) {
+        error(`--entry "${options.entry}" is not a root HTML file of the game. Available: ${rootHtmlFiles.join(', ')}`, InvalidOptionError);
+      }
+      entryPoint = options.entry;
+      report('success', `Entry point (from --entry): ${entryPoint}`);
+    } else if (rootHtmlFiles.length === 1) {
+      entryPoint = rootHtmlFiles[0];
+      report('success', `Using sole root HTML as entry: ${entryPoint}`);
+    } else {
+      report('step', 'Which HTML file at the root should be the game entry point?');
+      rootHtmlFiles.forEach((name, i) => report('info', `  ${i + 1}. ${name}`));
+      const raw = await ask(prompt, `Enter number (1-${rootHtmlFiles.length}) or filename: `, {
+        missing: `Several root HTML files (${rootHtmlFiles.join(', ')}); pass --entry`,
+      });
+      const num = parseInt(raw, 10);
+      if (Number.isInteger(num) && num >= 1 && num <= rootHtmlFiles.length) {
+        entryPoint = rootHtmlFiles[num - 1];
+      } else if (rootHtmlFiles.includes(raw)) {
+        entryPoint = raw;
+      } else {
+        entryPoint = rootHtmlFiles[0];
+        report('warning', `Using first option: ${entryPoint}`);
+      }
+      report('success', `Entry point: ${entryPoint}`);
+    }
+
+    // Use --thumbnail / the manifest's thumbnail, or try to find one in the zip contents
+    thumbnailCandidate ??= (rpgMaker && findRpgMakerTitleImage(buildDir)) || findThumbnailCandidate(buildDir);
+    // The screenshots/ folder has been moved aside; its first image still makes a cover
+    const firstScreenshot = mediaSources.find((m) => IMAGE_EXTENSIONS.has(path.extname(m.filePath).toLowerCase()));
+    if (!thumbnailCandidate && firstScreenshot) {
+      thumbnailCandidate = { filePath: firstScreenshot.filePath, ext: path.extname(firstScreenshot.filePath).toLowerCase() };
+    }
+    if (!thumbnailCandidate) {
+      report('warning', 'No image found in zip for thumbnail.');
+    }
+  } else if (options.thumbnail) {
+    thumbnailCandidate = resolveThumbnail(null, options.thumbnail, { label: '--thumbnail', allowDisk: true });
+  }
+
+  if (thumbnailCandidate) {
+    const sourceName = thumbnailCandidate.name ?? path.basename(thumbnailCandidate.filePath);
+    try {
+      cover = await writeCoverImages(thumbnailCandidate.filePath, stageImagesDir, gameId);
+      report('success', `Cover made from ${sourceName} → public/images/games/${gameId}/ (${cover.thumbnailWidths.join(', ')} px, JPEG + WebP)`);
+    } catch (err) {
+      // A guessed image that cannot be decoded falls back to the placeholder
+      if (options.thumbnail || manifestThumbnail) error(`Could not process thumbnail ${sourceName}: ${err.message}`, InvalidOptionError);
+      report('warning', `Could not process ${sourceName} (${err.message}); using a placeholder cover.`);
+      thumbnailCandidate = null;
+    }
+  }
+
+  mediaSources = [...mediaSources, ...groupMediaFiles(screenshotFiles, { sort: false })];
+  if (mediaSources.length > 0) {
+    try {
+      media = await writeMedia(mediaSources, stageImagesDir, gameId);
+    } catch (err) {
+      error(`Could not process screenshots: ${err.message}`);
+    }
+    report('success', `Gallery: ${media.length} screenshot(s)/trailer(s) → public/images/games/${gameId}/${MEDIA_DIR_NAME}/`);
+  }
+
+  let installedDownloads = null;
+  if (resolvedDownloads.length > 0) {
+    const existingDownloads = isNewGame ? [] : metadata.games[existingGameIndex].downloads ?? [];
+    stageLiveDownloads(gameId, stageDownloadsDir);
+    installedDownloads = installDownloads(gameId, resolvedDownloads, existingDownloads, stageDownloadsDir, report);
+  }
+
+  // Update metadata
+  const today = new Date().toISOString().split('T')[0];
+  
+  if (isNewGame) {
+    // Game details from flags, env (GAME_NAME/GAME_TYPE/GAME_DESCRIPTION) or prompts
+    const typeDefault = !hasSource ? 'download-only' : builtRenpy ? 'renpy' : 'html';
+    let name = options.name ?? process.env.GAME_NAME ?? null;
+    // A detected RPG Maker game needs no type question
+    let type = options.type ?? process.env.GAME_TYPE ?? (rpgMaker ? 'rpgmaker' : null);
+    let description = options.description ?? process.env.GAME_DESCRIPTION ?? null;
+    if (detailsFromEnv || nonInteractive) {
+      // name and description were checked above
+      type = type || typeDefault;
+      report('step', `Using game details from ${detailsFromEnv ? 'env' : 'flags'}: ${name}, ${type}`);
+    } else if (name === null || type === null || description === null) {
+      report('step', 'Please provide game details:');
+      if (name === null) name = await prompt(`Game name [${gameId}]: `) || gameId;
+      if (type === null) type = await prompt(`Type (html/renpy/rpgmaker/download-only) [${typeDefault}]: `) || typeDefault;
+      if (description === null) description = await prompt('Description: ') || `A ${type} game.`;
+    }
+    if (!GAME_TYPES.includes(type)) {
+      error(`Invalid type "${type}". Expected one of: ${GAME_TYPES.join(', ')}`, InvalidOptionError);
+    }
+    const playable = options.playable ?? (hasSource && type !== 'download-only');
+    if (playable && !entryPoint) {
+      error('--playable needs a zip or directory with the web build.', InvalidOptionError);
+    }
+
+    cover ??= writePlaceholderCover(stageImagesDir, { id: gameId, name, type });
+    const newGame = {
+      id: gameId,
+      name,
+      type,
+      version: finalVersion,
+      description,
+      thumbnail: cover.thumbnail,
+      playable,
+      lastUpdated: today,
+    };
+    if (cover.thumbnailWidths) newGame.thumbnailWidths = cover.thumbnailWidths;
+    if (media) newGame.media = media;
+    if (entryPoint) {
+      newGame.entryPoint = entryPoint;
+      newGame.versions = [{ version: finalVersion, entryPoint, date: today }];
+      if (changelog) newGame.versions[0].changelog = changelog;
+    }
+    if (options.tags?.length) newGame.tags = options.tags;
+    const headers = options.headers ?? detectedHeaders;
+    if (headers && headers !== 'default') newGame.headers = headers;
+    if (renpyVersion) newGame.renpyVersion = renpyVersion;
+    if (installedDownloads) newGame.downloads = installedDownloads;
+
+    metadata.games.push(newGame);
+    report('success', `Added new game: ${name}`);
+  } else {
+    // Update existing game
+    const game = existingGame;
+    game.version = finalVersion;
+    game.lastUpdated = today;
+    if (entryPoint) {
+      game.entryPoint = entryPoint;
+      // Re-uploading a version replaces its history entry and makes it the newest
+      const previous = game.versions?.find((v) => v.version === finalVersion);
+      game.versions = (game.versions ?? []).filter((v) => v.version !== finalVersion);
+      // Re-uploading without a new changelog keeps the old one
+      const versionChangelog = changelog ?? previous?.changelog;
+      game.versions.push({ version: finalVersion, entryPoint, date: today, ...(versionChangelog ? { changelog: versionChangelog } : {}) });
+    } else if (changelog) {
+      const entry = game.versions?.find((v) => v.version === finalVersion);
+      if (entry) entry.changelog = changelog;
+      else report('warning', 'Changelogs are kept with web builds; this game has none, so the changelog was not recorded');
+    }
+    if (installedDownloads) {
+      game.downloads = installedDownloads;
+    }
+    if (options.name) game.name = options.name;
+    if (options.type) {
+      game.type = options.type;
+    } else if (rpgMaker && game.type !== 'rpgmaker') {
+      report('warning', `Type changed from ${game.type} to rpgmaker (detected)`);
+      game.type = 'rpgmaker';
+    }
+    if (options.description) game.description = options.description;
+    if (options.tags) game.tags = options.tags;
+    // --headers wins; otherwise a detected engine profile replaces the old one
+    const headers = options.headers ?? (detectedHeaders !== 'default' ? detectedHeaders : null);
+    if (headers === 'default') delete game.headers;
+    else if (headers) game.headers = headers;
+    if (renpyVersion) game.renpyVersion = renpyVersion;
+    // Keep a real cover; otherwise (re)draw the placeholder, which shows the current name and type
+    const currentThumbnail = path.join(ROOT_DIR, 'public', String(game.thumbnail ?? '').replace(/^\//, ''));
+    if (!cover && (!game.thumbnail || game.thumbnail.endsWith('/cover.svg') || !fs.existsSync(currentThumbnail))) {
+      cover = writePlaceholderCover(stageImagesDir, game);
+    }
+    if (cover) {
+      game.thumbnail = cover.thumbnail;
+      if (cover.thumbnailWidths) game.thumbnailWidths = cover.thumbnailWidths;
+      else delete game.thumbnailWidths;
+    }
+    if (media) game.media = media;
+    if (options.playable !== null) {
+      if (options.playable && !game.entryPoint) {
+        error('--playable needs a zip or directory with the web build.', InvalidOptionError);
+      }
+      game.playable = options.playable;
+    }
+    report('success', `Updated game metadata`);
+  }
+
+  // Last chance to stop: from here on the live game changes
+  signal?.throwIfAborted();
+  // Swap the staged build, images and downloads into place, then save games.yaml;
+  // if any step fails, the moves already done are undone
+  const moves = [
+    ...legacyMoves,
+    ...swapMoves(stage, buildDir, gameDir, 'play'),
+    ...stagedImageMoves(stage, stageImagesDir, gameId, { coverStaged: Boolean(cover), mediaStaged: Boolean(media) }),
+    ...swapMoves(stage, stageDownloadsDir, path.join(DOWNLOADS_DIR, gameId), 'downloads'),
+  ];
+  try {
+    commitStage(stage, moves, () => writeMetadata(metadata));
+  } catch (err) {
+    // Whatever could not be moved back is still in the backup; keep it
+    keepStage = fs.existsSync(stage.backupDir) && fs.readdirSync(stage.backupDir).length > 0;
+    error(keepStage
+      ? `Could not save ${gameId}: ${err.message}\nThe replaced files are in ${stage.backupDir}`
+      : `Could not save ${gameId}; the previous version was restored: ${err.message}`);
+  }
+  if (legacyMoves.length > 0) report('warning', `Moved existing build to: ${path.join(gameRoot, String(existingGame.versions[0].version))}`);
+  if (hasSource) report('success', `Installed to: ${gameDir}`);
+  report('success', `Saved metadata to: ${METADATA_FILE}`);
+
+  const savedGame = metadata.games.find(g => g.id === gameId);
+  const nextSteps = [];
+  if (savedGame.thumbnail.endsWith('/cover.svg')) {
+    nextSteps.push('Replace the placeholder cover: run add-game again with --thumbnail <image>');
+  }
+  if (savedGame.playable && savedGame.entryPoint) {
+    const versionSegment = savedGame.versions ? savedGame.version + '/' : '';
+    nextSteps.push('Game is playable at: /play/' + gameId + '/' + versionSegment + savedGame.entryPoint);
+  }
+  if (savedGame.downloads?.length) {
+    nextSteps.push('Downloads (' + savedGame.downloads.map((d) => d.platform).join(', ') + ') are served from: /downloads/' + gameId + '/');
+  }
+  nextSteps.push('Run "npm run build" to rebuild the site');
+  nextSteps.push('Deploy the updated site');
+
+  return {
+    gameId,
+    created: isNewGame,
+    version: savedGame.version,
+    playable: savedGame.playable,
+    entryPoint: savedGame.entryPoint ?? null,
+    playDir: entryPoint ? path.relative(ROOT_DIR, gameDir) : null,
+    thumbnail: savedGame.thumbnail,
+    thumbnailFound: Boolean(thumbnailCandidate),
+    thumbnailWidths: savedGame.thumbnailWidths ?? [],
+    headers: savedGame.headers ?? 'default',
+    media: savedGame.media ?? [],
+    downloads: savedGame.downloads ?? [],
+    metadataFile: path.relative(ROOT_DIR, METADATA_FILE),
+    game: savedGame,
+    nextSteps,
+  };
+}
+
+/**
+ * @typedef {object} RemoveGameResult
+ * @property {string} gameId
+ * @property {string} name
+ * @property {string[]} removed - Files and directories deleted (or that would be, in a dry run)
+ * @property {boolean} dryRun
+ */
+
+/**
+ * Remove a game: its builds in play/, downloads, cover and gallery, and its
+ * games.yaml entry.
+ * @param {string} gameId
+ * @param {{ dryRun?: boolean, onProgress?: ProgressListener }} [options]
+ * @returns {Promise<RemoveGameResult>}
+ * @throws {GameNotFoundError}
+ */
+export function removeGame(gameId, { dryRun = false, onProgress } = {}) {
+  const report = reporter(onProgress);
+  return runExclusive(async (defer) => {
+    if (!dryRun) await lockGamesYaml(defer, report);
+    const metadata = loadMetadata();
+    const index = metadata.games.findIndex((g) => g.id === gameId);
+    if (index === -1) throw new GameNotFoundError(gameId);
+
+    const game = metadata.games[index];
+    report('step', `Removing game: ${game.name} (${gameId})`);
+    const gameDir = path.join(GAMES_DIR, gameId);
+    const downloadDir = path.join(DOWNLOADS_DIR, gameId);
+    const thumbnailPath = game.thumbnail
+      ? path.join(ROOT_DIR, 'public', game.thumbnail.replace(/^\//, ''))
+      : path.join(THUMBNAILS_DIR, `${gameId}.png`);
+    // Covers made by add-game (all sizes, or the placeholder) share one directory
+    const coverDir = path.join(THUMBNAILS_DIR, gameId);
+    const removed = [gameDir, downloadDir, coverDir].filter((p) => fs.existsSync(p));
+    if (!thumbnailPath.startsWith(coverDir + path.sep) && fs.existsSync(thumbnailPath)) removed.push(thumbnailPath);
+
+    if (dryRun) return { gameId, name: game.name, removed, dryRun };
+
+    // The files are moved into a stage, games.yaml is saved, then the stage is
+    // deleted; if the save fails, the files are moved back
+    const stage = createStage(gameId, REMOVE_STAGING_DIR);
+    const trashDir = path.join(stage.dir, 'removed');
+    let keepStage = false;
+    defer(() => {
+      if (!keepStage) discardStage(stage);
+    });
+    metadata.games.splice(index, 1);
+    try {
+      commitStage(stage, removed.map((p, i) => [p, path.join(trashDir, String(i))]), () => writeMetadata(metadata));
+    } catch (err) {
+      keepStage = fs.existsSync(trashDir) && fs.readdirSync(trashDir).length > 0;
+      error(keepStage
+        ? `Could not remove ${gameId}: ${err.message}\nThe files being removed are in ${trashDir}`
+        : `Could not remove ${gameId}; nothing was changed: ${err.message}`);
+    }
+    removed.forEach((p) => report('success', `Removed: ${p}`));
+    report('success', `Removed "${gameId}" from ${METADATA_FILE}`);
+    return { gameId, name: game.name, removed, dryRun };
+  });
+}
+
+/**
+ * All games in games.yaml.
+ * @returns {Promise<object[]>}
+ */
+export async function listGames() {
+  return loadMetadata().games;
+}
+
+/**
+ * @param {string} gameId
+ * @returns {Promise<object>} The games.yaml entry
+ * @throws {GameNotFoundError}
+ */
+export async function getGame(gameId) {
+  const game = loadMetadata().games.find((g) => g.id === gameId);
+  if (!game) throw new GameNotFoundError(gameId);
+  return game;
+}
+
+// Details updateGame changes; files (builds, covers, downloads) go through addGame
+export const UPDATABLE_FIELDS = ['name', 'description', 'type', 'tags', 'headers', 'playable', 'renpyVersion', 'launchMode', 'display'];
+
+/**
+ * Change a game's details in games.yaml. A field set to null is removed.
+ * @param {string} gameId
+ * @param {Record<string, unknown>} patch - Any of UPDATABLE_FIELDS
+ * @param {{ onProgress?: ProgressListener }} [options]
+ * @returns {Promise<object>} The updated entry
+ * @throws {GameNotFoundError | InvalidOptionError} InvalidOptionError also when the result fails the games.yaml schema
+ */
+export function updateGame(gameId, patch, { onProgress } = {}) {
+  const report = reporter(onProgress);
+  return runExclusive(async (defer) => {
+    const unknown = Object.keys(patch ?? {}).filter((key) => !UPDATABLE_FIELDS.includes(key));
+    if (unknown.length > 0) {
+      error(`Cannot update ${unknown.join(', ')}. Updatable fields: ${UPDATABLE_FIELDS.join(', ')}`, InvalidOptionError);
+    }
+    await lockGamesYaml(defer, report);
+    const metadata = loadMetadata();
+    const game = metadata.games.find((g) => g.id === gameId);
+    if (!game) throw new GameNotFoundError(gameId);
+
+    for (const [key, value] of Object.entries(patch)) {
+      if (value === undefined) continue;
+      if (value === null) delete game[key];
+      else game[key] = key === 'tags' ? normalizeTags(value) : value;
+    }
+    const problems = validateGamesData({ games: [game] });
+    if (problems.length > 0) {
+      error(`Invalid update:\n${formatValidationErrors(problems)}`, InvalidOptionError);
+    }
+    saveMetadata(metadata);
+    report('success', `Updated ${Object.keys(patch).join(', ')} of "${gameId}"`);
+    return game;
+  });
+}
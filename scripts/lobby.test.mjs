@@ -0,0 +1,122 @@
+/**
+ * Tests the Node API in lobby.mjs: adding, reading, updating and removing a game.
+ * Run: node --test scripts/lobby.test.mjs
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { test } from 'node:test';
+import assert from 'node:assert';
+import {
+  GameNotFoundError,
+  InvalidOptionError,
+  LobbyError,
+  MissingAnswerError,
+  addGame,
+  getGame,
+  listGames,
+  removeGame,
+  updateGame,
+} from './lobby.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT = path.resolve(__dirname, '..');
+const GAME_ID = 'lobby-api-test';
+
+test('adds, reads, updates and removes a game', async (t) => {
+  const source = fs.mkdtempSync(path.join(os.tmpdir(), 'lobby-api-'));
+  t.after(async () => {
+    fs.rmSync(source, { recursive: true, force: true });
+    if ((await listGames()).some((g) => g.id === GAME_ID)) await removeGame(GAME_ID);
+  });
+  fs.writeFileSync(path.join(source, 'index.html'), '<!doctype html><title>Lobby API test</title>');
+
+  const events = [];
+  const result = await addGame({
+    gameId: GAME_ID,
+    source,
+    version: '1.0.0',
+    name: 'Lobby API Test',
+    description: 'Added through lobby.mjs.',
+    onProgress: (event) => events.push(event),
+  });
+  assert.strictEqual(result.created, true);
+  assert.strictEqual(result.version, '1.0.0');
+  assert.strictEqual(result.entryPoint, 'index.html');
+  assert.strictEqual(result.playDir, path.join('play', GAME_ID, '1.0.0'));
+  assert.ok(fs.existsSync(path.join(ROOT, result.playDir, 'index.html')));
+  assert.ok(events.some((e) => e.level === 'success' && e.message.startsWith('Saved metadata to:')), 'progress is reported');
+
+  const game = await getGame(GAME_ID);
+  assert.strictEqual(game.name, 'Lobby API Test');
+  assert.strictEqual(game.type, 'html');
+
+  const updated = await updateGame(GAME_ID, { tags: ['Puzzle', 'puzzle', 'Short'], description: 'Updated.' });
+  assert.deepStrictEqual(updated.tags, ['puzzle', 'short']);
+  assert.strictEqual((await getGame(GAME_ID)).description, 'Updated.');
+  await assert.rejects(updateGame(GAME_ID, { type: 'flash' }), InvalidOptionError);
+  await assert.rejects(updateGame(GAME_ID, { entryPoint: 'other.html' }), InvalidOptionError);
+  assert.strictEqual((await getGame(GAME_ID)).type, 'html', 'a rejected update changes nothing');
+
+  const dryRun = await removeGame(GAME_ID, { dryRun: true });
+  assert.deepStrictEqual(dryRun.removed.map((p) => path.relative(ROOT, p)).slice(0, 1), [path.join('play', GAME_ID)]);
+  assert.ok(fs.existsSync(path.join(ROOT, 'play', GAME_ID)), 'a dry run removes nothing');
+
+  await removeGame(GAME_ID);
+  assert.ok(!fs.existsSync(path.join(ROOT, 'play', GAME_ID)));
+  assert.ok(!(await listGames()).some((g) => g.id === GAME_ID));
+});
+
+test('throws typed errors', async () => {
+  const notFound = await getGame('no-such-game').catch((err) => err);
+  assert.ok(notFound instanceof GameNotFoundError);
+  assert.ok(notFound instanceof LobbyError);
+  assert.strictEqual(notFound.code, 'GAME_NOT_FOUND');
+  assert.strictEqual(notFound.gameId, 'no-such-game');
+  await assert.rejects(removeGame('no-such-game'), GameNotFoundError);
+
+  await assert.rejects(addGame({ gameId: GAME_ID, source: 'x.zip', type: 'flash' }), {
+    name: 'InvalidOptionError',
+    code: 'INVALID_OPTION',
+    message: /Invalid --type "flash"/,
+  });
+  // A new game's name cannot be asked without a prompt
+  await assert.rejects(
+    addGame({ gameId: GAME_ID, version: '1.0.0', downloads: [{ platform: 'windows', filePath: __filename }], dryRun: true }),
+    MissingAnswerError
+  );
+});
+
+test('reports to each call\'s own listener, and stops when aborted', async (t) => {
+  const source = fs.mkdtempSync(path.join(os.tmpdir(), 'lobby-api-'));
+  t.after(() => fs.rmSync(source, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(source, 'index.html'), '<!doctype html><title>Lobby API test</title>');
+
+  const events = { one: [], two: [] };
+  await Promise.all(['one', 'two'].map((id) => addGame({
+    gameId: `${GAME_ID}-${id}`,
+    source,
+    version: '1.0.0',
+    name: id,
+    description: id,
+    dryRun: true,
+    onProgress: (event) => events[id].push(event),
+  })));
+  for (const id of ['one', 'two']) {
+    const processing = events[id].filter((e) => e.message.startsWith('Processing game:')).map((e) => e.message);
+    assert.deepStrictEqual(processing, [`Processing game: ${GAME_ID}-${id}`]);
+    assert.ok(events[id].every((e) => ['info', 'step', 'success', 'warning'].includes(e.level)));
+  }
+
+  const controller = new AbortController();
+  controller.abort();
+  await assert.rejects(
+    addGame({ gameId: GAME_ID, source, version: '1.0.0', name: 'Aborted', description: 'Aborted.', signal: controller.signal }),
+    { name: 'AbortError' },
+  );
+  assert.ok(!fs.existsSync(path.join(ROOT, 'play', GAME_ID)));
+  assert.ok(!(await listGames()).some((g) => g.id === GAME_ID));
+});
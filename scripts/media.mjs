@@ -0,0 +1,159 @@
+/**
+ * media.mjs
+ *
+ * Screenshots, animated GIFs and trailers shown in the gallery of a game's detail
+ * page. add-game collects them from a screenshots/ folder at the root of the
+ * upload and from --screenshot flags, and copies them to
+ * public/images/games/<id>/media/ with a small WebP preview for the gallery
+ * strip. A video can have a poster: an image with the same base name
+ * (trailer.mp4 + trailer.jpg), which is not listed as a screenshot of its own.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+
+export const MEDIA_DIR_NAME = 'media';
+export const SCREENSHOTS_DIR = /^screenshots$/i;
+export const MEDIA_IMAGE_EXTENSIONS = new Set(['.png', '.jpg', '.jpeg', '.webp', '.gif']);
+export const MEDIA_VIDEO_EXTENSIONS = new Set(['.mp4', '.webm']);
+const PREVIEW_WIDTH = 480;
+
+/**
+ * @typedef {object} MediaSource
+ * @property {string} filePath - Image or video on disk
+ * @property {string} [posterPath] - Poster image of a video
+ *
+ * @typedef {import('../src/data/game-schema.mjs').MediaItem} MediaItem
+ */
+
+/** Whether a file name is a screenshot, GIF or trailer. */
+export function isMediaFile(name) {
+  const ext = path.extname(name).toLowerCase();
+  return MEDIA_IMAGE_EXTENSIONS.has(ext) || MEDIA_VIDEO_EXTENSIONS.has(ext);
+}
+
+/**
+ * screenshots/ folder (any case) at the root of dir.
+ * @param {string} dir
+ * @returns {string | null}
+ */
+export function findScreenshotsDir(dir) {
+  if (!fs.existsSync(dir)) return null;
+  const name = fs.readdirSync(dir).find((f) => SCREENSHOTS_DIR.test(f) && fs.statSync(path.join(dir, f)).isDirectory());
+  return name ? path.join(dir, name) : null;
+}
+
+/**
+ * Pair videos with their posters and order the files: by name with numbers
+ * compared numerically (2.png before 10.png), keeping the order of a given list.
+ * @param {string[]} filePaths
+ * @param {{ sort?: boolean }} [options]
+ * @returns {MediaSource[]}
+ */
+export function groupMediaFiles(filePaths, { sort = true } = {}) {
+  const files = sort
+    ? [...filePaths].sort((a, b) => path.basename(a).localeCompare(path.basename(b), undefined, { numeric: true }))
+    : filePaths;
+  const stem = (p) => path.join(path.dirname(p), path.basename(p, path.extname(p))).toLowerCase();
+  const isVideo = (p) => MEDIA_VIDEO_EXTENSIONS.has(path.extname(p).toLowerCase());
+  const videoStems = new Set(files.filter(isVideo).map(stem));
+  const posters = new Map(files.filter((p) => !isVideo(p) && videoStems.has(stem(p))).map((p) => [stem(p), p]));
+  const posterPaths = new Set(posters.values());
+  return files
+    .filter((p) => !posterPaths.has(p))
+    .map((p) => (isVideo(p) && posters.has(stem(p)) ? { filePath: p, posterPath: posters.get(stem(p)) } : { filePath: p }));
+}
+
+/**
+ * Media files in a screenshots folder (not recursive).
+ * @param {string} dir
+ * @returns {MediaSource[]}
+ */
+export function collectScreenshots(dir) {
+  const files = fs.readdirSync(dir)
+    .filter((f) => isMediaFile(f) && fs.statSync(path.join(dir, f)).isFile())
+    .map((f) => path.join(dir, f));
+  return groupMediaFiles(files);
+}
+
+/** "02_boss-fight.png" -> "Boss fight" */
+function altFromFileName(filePath) {
+  const words = path.basename(filePath, path.extname(filePath))
+    .replace(/^\d+[\s._-]*/, '')
+    .replace(/[\s._-]+/g, ' ')
+    .trim();
+  return words ? words[0].toUpperCase() + words.slice(1) : '';
+}
+
+function safeFileName(filePath, used) {
+  const ext = path.extname(filePath).toLowerCase();
+  const base = path.basename(filePath, path.extname(filePath)).toLowerCase().replace(/[^a-z0-9._-]+/g, '-').replace(/^-+|-+$/g, '') || 'media';
+  let name = `${base}${ext}`;
+  for (let i = 2; used.has(name); i++) name = `${base}-${i}${ext}`;
+  used.add(name);
+  return name;
+}
+
+/**
+ * Copy an image and write its gallery preview.
+ * @returns {Promise<{ name: string, preview: string, width?: number, height?: number }>}
+ */
+async function writeImage(filePath, mediaDir, used) {
+  const name = safeFileName(filePath, used);
+  fs.copyFileSync(filePath, path.join(mediaDir, name));
+  const input = fs.readFileSync(filePath);
+  // First frame for GIFs; previews stay still
+  const { width, height } = await sharp(input).metadata();
+  const preview = `${path.basename(name, path.extname(name))}-preview.webp`;
+  used.add(preview);
+  await sharp(input)
+    .resize({ width: PREVIEW_WIDTH, height: Math.round((PREVIEW_WIDTH * 9) / 16), fit: 'cover', position: 'attention' })
+    .webp({ quality: 78 })
+    .toFile(path.join(mediaDir, preview));
+  return { name, preview, width, height };
+}
+
+/**
+ * Replace public/images/games/<id>/media/ with the given files.
+ * @param {MediaSource[]} sources
+ * @param {string} thumbnailsDir - public/images/games
+ * @param {string} gameId
+ * @returns {Promise<MediaItem[]>} Entries for games.yaml
+ * @throws {Error} When an image cannot be decoded
+ */
+export async function writeMedia(sources, thumbnailsDir, gameId) {
+  const mediaDir = path.join(thumbnailsDir, gameId, MEDIA_DIR_NAME);
+  fs.rmSync(mediaDir, { recursive: true, force: true });
+  fs.mkdirSync(mediaDir, { recursive: true });
+  const sitePath = (name) => `/images/games/${gameId}/${MEDIA_DIR_NAME}/${name}`;
+  const used = new Set();
+
+  /** @type {MediaItem[]} */
+  const items = [];
+  for (const { filePath, posterPath } of sources) {
+    const alt = altFromFileName(filePath);
+    if (MEDIA_VIDEO_EXTENSIONS.has(path.extname(filePath).toLowerCase())) {
+      const name = safeFileName(filePath, used);
+      fs.copyFileSync(filePath, path.join(mediaDir, name));
+      /** @type {MediaItem} */
+      const item = { type: 'video', src: sitePath(name) };
+      if (posterPath) {
+        const poster = await writeImage(posterPath, mediaDir, used);
+        item.poster = sitePath(poster.name);
+        item.preview = sitePath(poster.preview);
+        if (poster.width && poster.height) Object.assign(item, { width: poster.width, height: poster.height });
+      }
+      if (alt) item.alt = alt;
+      items.push(item);
+    } else {
+      const image = await writeImage(filePath, mediaDir, used);
+      /** @type {MediaItem} */
+      const item = { type: 'image', src: sitePath(image.name), preview: sitePath(image.preview) };
+      if (image.width && image.height) Object.assign(item, { width: image.width, height: image.height });
+      if (alt) item.alt = alt;
+      items.push(item);
+    }
+  }
+  return items;
+}
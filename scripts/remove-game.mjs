@@ -4,8 +4,9 @@
  * remove-game.mjs
  *
  * Removes a game from the portfolio: deletes extracted files in play/,
- * the thumbnail, and the metadata entry. The original zip you used with
- * add-game is never touched.
+ * downloadable builds in downloads/, the cover images, and the metadata entry.
+ * The original zip you used with add-game is never touched. A wrapper around
+ * removeGame() in lobby.mjs.
  *
  * Usage:
  *   npm run remove-game -- <game-id> [--dry-run]
@@ -15,17 +16,7 @@
  *   npm run remove-game -- my-game --dry-run
  */
 
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import yaml from 'yaml';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const ROOT_DIR = path.resolve(__dirname, '..');
-const GAMES_DIR = path.join(ROOT_DIR, 'play');
-const THUMBNAILS_DIR = path.join(ROOT_DIR, 'public', 'images', 'games');
-const METADATA_FILE = path.join(ROOT_DIR, 'src', 'data', 'games.yaml');
+import { removeGame } from './lobby.mjs';
 
 const colors = {
   reset: '\x1b[0m',
@@ -35,6 +26,9 @@ const colors = {
   cyan: '\x1b[36m',
 };
 
+// Progress levels of lobby.mjs, as colors
+const LEVEL_COLORS = { info: 'reset', step: 'cyan', success: 'green', warning: 'yellow' };
+
 function log(message, color = 'reset') {
   console.log(`${colors[color]}${message}${colors.reset}`);
 }
@@ -50,25 +44,7 @@ function parseArgs(args) {
   return { gameId, dryRun };
 }
 
-function readMetadata() {
-  try {
-    if (!fs.existsSync(METADATA_FILE)) return { games: [] };
-    const content = fs.readFileSync(METADATA_FILE, 'utf-8');
-    return yaml.parse(content) || { games: [] };
-  } catch (err) {
-    error(`Failed to read metadata file: ${err.message}`);
-  }
-}
-
-function writeMetadata(data) {
-  try {
-    fs.writeFileSync(METADATA_FILE, yaml.stringify(data, { indent: 2 }) + '\n');
-  } catch (err) {
-    error(`Failed to write metadata file: ${err.message}`);
-  }
-}
-
-function main() {
+async function main() {
   const args = process.argv.slice(2);
   const { gameId, dryRun } = parseArgs(args);
 
@@ -86,48 +62,24 @@ function main() {
     log('');
   }
 
-  const metadata = readMetadata();
-  const index = metadata.games.findIndex((g) => g.id === gameId);
-  if (index === -1) {
-    error(`Game not found: ${gameId}`);
-  }
-
-  const game = metadata.games[index];
-  log(`Removing game: ${game.name} (${gameId})`, 'cyan');
-
-  const gameDir = path.join(GAMES_DIR, gameId);
-  const thumbnailPath = game.thumbnail
-    ? path.join(ROOT_DIR, 'public', game.thumbnail.replace(/^\//, ''))
-    : path.join(THUMBNAILS_DIR, `${gameId}.png`);
+  const result = await removeGame(gameId, { dryRun, onProgress: ({ level, message }) => log(message, LEVEL_COLORS[level]) });
 
   if (dryRun) {
     log('', 'reset');
     log('Would remove:', 'yellow');
-    if (fs.existsSync(gameDir)) log(`  - ${gameDir}`);
-    if (fs.existsSync(thumbnailPath)) log(`  - ${thumbnailPath}`);
+    result.removed.forEach((p) => log(`  - ${p}`));
     log(`  - metadata entry for "${gameId}"`);
     log('');
     log('Dry run complete. No changes were made.', 'green');
     return;
   }
 
-  if (fs.existsSync(gameDir)) {
-    fs.rmSync(gameDir, { recursive: true });
-    log(`Removed: ${gameDir}`, 'green');
-  }
-  if (fs.existsSync(thumbnailPath)) {
-    fs.unlinkSync(thumbnailPath);
-    log(`Removed: ${thumbnailPath}`, 'green');
-  }
-
-  metadata.games.splice(index, 1);
-  writeMetadata(metadata);
-  log(`Removed "${gameId}" from ${METADATA_FILE}`, 'green');
-
   log('', 'reset');
   log('========================================', 'green');
   log(`Game "${gameId}" removed. Original zip was not touched.`, 'green');
   log('========================================', 'green');
 }
 
-main();
+main().catch((err) => {
+  error(err.message);
+});
@@ -0,0 +1,144 @@
+/**
+ * renpy-cache.mjs
+ *
+ * Cache of Ren'Py builds in .cache/renpy-web/<key>/, so add-game does not
+ * re-run `renpy.sh distribute` for a project it has already built:
+ *
+ *   <key>/web/                     the web build, as installed in play/
+ *   <key>/packages/<package>/<file> desktop archives (--renpy-packages), e.g. packages/pc/game-1.0-pc.zip
+ *
+ * The key is a SHA-256 of the project's files (paths and contents, minus
+ * what Ren'Py writes while running: .rpyc, cache/, saves/, logs), the SDK
+ * version and whether Renpyweb is installed. The most recently used entries are
+ * kept (RENPY_CACHE_LIMIT); `npm run clean` removes the cache.
+ * Used by add-game.mjs.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+export const RENPY_CACHE_DIR = path.join(ROOT_DIR, '.cache', 'renpy-web');
+export const RENPY_CACHE_LIMIT = 10;
+// Bump when the layout of a cache entry changes so old entries are not reused
+const CACHE_FORMAT = 2;
+
+const GENERATED_DIRS = new Set(['cache', 'saves', '__pycache__']);
+const GENERATED_FILES = new Set(['log.txt', 'traceback.txt', 'errors.txt', 'files.txt', '.DS_Store', 'Thumbs.db']);
+const GENERATED_EXTENSIONS = new Set(['.rpyc', '.rpymc', '.rpyb', '.bak']);
+
+function isGenerated(name, isDir) {
+  if (isDir) return GENERATED_DIRS.has(name);
+  return GENERATED_FILES.has(name) || GENERATED_EXTENSIONS.has(path.extname(name).toLowerCase());
+}
+
+/**
+ * Cache key of a Ren'Py project built with an SDK.
+ * @param {string} projectPath - Directory containing game/
+ * @param {{ sdkVersion: string, webSupport: boolean }} sdk
+ * @returns {string} Hex SHA-256
+ */
+export function renpyBuildKey(projectPath, { sdkVersion, webSupport }) {
+  const hash = crypto.createHash('sha256');
+  hash.update(`format ${CACHE_FORMAT}\nsdk ${sdkVersion}\nweb ${webSupport}\n`);
+  function walk(dir, rel) {
+    const entries = fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+    for (const e of entries) {
+      if (isGenerated(e.name, e.isDirectory())) continue;
+      const full = path.join(dir, e.name);
+      const relPath = rel ? `${rel}/${e.name}` : e.name;
+      if (e.isDirectory()) {
+        walk(full, relPath);
+      } else if (e.isFile()) {
+        hash.update(`file ${relPath} ${fs.statSync(full).size}\n`);
+        hash.update(fs.readFileSync(full));
+      }
+    }
+  }
+  walk(projectPath, '');
+  return hash.digest('hex');
+}
+
+/**
+ * @typedef {object} CachedBuild
+ * @property {string} webDir - The web build
+ * @property {Record<string, string>} packages - Desktop archive of each package built so far
+ */
+
+/**
+ * A cached build, or null. A hit counts as a use for pruning.
+ * @param {string} key
+ * @param {string} [cacheDir]
+ * @returns {CachedBuild | null}
+ */
+export function readCachedBuild(key, cacheDir = RENPY_CACHE_DIR) {
+  const entry = path.join(cacheDir, key);
+  if (!fs.existsSync(path.join(entry, 'web'))) return null;
+  const now = new Date();
+  fs.utimesSync(entry, now, now);
+  /** @type {Record<string, string>} */
+  const packages = {};
+  const packagesDir = path.join(entry, 'packages');
+  for (const name of fs.existsSync(packagesDir) ? fs.readdirSync(packagesDir) : []) {
+    if (name.startsWith('.')) continue;
+    const [file] = fs.readdirSync(path.join(packagesDir, name));
+    if (file) packages[name] = path.join(packagesDir, name, file);
+  }
+  return { webDir: path.join(entry, 'web'), packages };
+}
+
+/**
+ * Copy finished build output into the cache. A new entry appears under its key
+ * in one rename, and each added archive in its own, so an interrupted copy is
+ * never mistaken for a build. Packages are added to an existing entry (whose web
+ * build is kept), which is how a later upload asks for more packages.
+ * @param {string} key
+ * @param {{ webDir?: string, packages?: Record<string, string> }} build - packages: package name to archive path
+ * @param {{ cacheDir?: string, limit?: number }} [options]
+ * @returns {CachedBuild}
+ */
+export function storeCachedBuild(key, { webDir, packages = {} }, { cacheDir = RENPY_CACHE_DIR, limit = RENPY_CACHE_LIMIT } = {}) {
+  const entry = path.join(cacheDir, key);
+  fs.mkdirSync(cacheDir, { recursive: true });
+  if (webDir || !fs.existsSync(path.join(entry, 'web'))) {
+    if (!webDir) throw new Error(`No web build to cache for ${key}`);
+    const tmp = path.join(cacheDir, `.${key}-${process.pid}`);
+    fs.rmSync(tmp, { recursive: true, force: true });
+    fs.cpSync(webDir, path.join(tmp, 'web'), { recursive: true });
+    fs.rmSync(entry, { recursive: true, force: true });
+    fs.renameSync(tmp, entry);
+  }
+  for (const [name, archive] of Object.entries(packages)) {
+    const dir = path.join(entry, 'packages', name);
+    const tmp = path.join(entry, 'packages', `.${name}-${process.pid}`);
+    fs.rmSync(tmp, { recursive: true, force: true });
+    fs.mkdirSync(tmp, { recursive: true });
+    fs.copyFileSync(archive, path.join(tmp, path.basename(archive)));
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.renameSync(tmp, dir);
+  }
+  pruneCache(cacheDir, limit);
+  return readCachedBuild(key, cacheDir);
+}
+
+/**
+ * Remove all but the `limit` most recently used entries.
+ * @param {string} [cacheDir]
+ * @param {number} [limit]
+ * @returns {string[]} Keys removed
+ */
+export function pruneCache(cacheDir = RENPY_CACHE_DIR, limit = RENPY_CACHE_LIMIT) {
+  if (!fs.existsSync(cacheDir)) return [];
+  const entries = fs.readdirSync(cacheDir, { withFileTypes: true })
+    .filter((e) => e.isDirectory() && !e.name.startsWith('.'))
+    .map((e) => ({ key: e.name, mtimeMs: fs.statSync(path.join(cacheDir, e.name)).mtimeMs }))
+    .sort((a, b) => b.mtimeMs - a.mtimeMs);
+  const removed = entries.slice(limit).map((e) => e.key);
+  for (const key of removed) fs.rmSync(path.join(cacheDir, key), { recursive: true, force: true });
+  return removed;
+}
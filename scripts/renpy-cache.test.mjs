@@ -0,0 +1,94 @@
+/**
+ * Tests the Ren'Py build cache key and the cache entries behind add-game.
+ * Run: node --test scripts/renpy-cache.test.mjs
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { pruneCache, readCachedBuild, renpyBuildKey, storeCachedBuild } from './renpy-cache.mjs';
+
+function withTmpDir(fn) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lofi-renpy-cache-test-'));
+  try {
+    fn(tmpDir);
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+function write(filePath, content) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+}
+
+test('the key follows the sources and SDK, not what Ren\'Py writes', () => {
+  withTmpDir((tmpDir) => {
+    const project = path.join(tmpDir, 'project');
+    write(path.join(project, 'game', 'script.rpy'), 'label start:\n    "Hello"\n');
+    write(path.join(project, 'game', 'images', 'bg.png'), 'png');
+    const sdk = { sdkVersion: 'renpy-8.5.2', webSupport: true };
+    const key = renpyBuildKey(project, sdk);
+
+    write(path.join(project, 'game', 'script.rpyc'), 'compiled');
+    write(path.join(project, 'game', 'cache', 'bytecode.rpyb'), 'cache');
+    write(path.join(project, 'log.txt'), 'log');
+    assert.strictEqual(renpyBuildKey(project, sdk), key, 'generated files should not change the key');
+
+    assert.notStrictEqual(renpyBuildKey(project, { ...sdk, sdkVersion: 'renpy-8.4.0' }), key);
+    assert.notStrictEqual(renpyBuildKey(project, { ...sdk, webSupport: false }), key);
+    write(path.join(project, 'game', 'images', 'bg.png'), 'png2');
+    assert.notStrictEqual(renpyBuildKey(project, sdk), key);
+    fs.renameSync(path.join(project, 'game', 'images', 'bg.png'), path.join(project, 'game', 'images', 'bg2.png'));
+    write(path.join(project, 'game', 'images', 'bg2.png'), 'png');
+    assert.notStrictEqual(renpyBuildKey(project, sdk), key, 'a renamed file should change the key');
+  });
+});
+
+test('stores, reuses and prunes builds, least recently used first', () => {
+  withTmpDir((tmpDir) => {
+    const cacheDir = path.join(tmpDir, 'cache');
+    const build = path.join(tmpDir, 'build');
+    write(path.join(build, 'index.html'), '<title>web</title>');
+    write(path.join(build, 'game.zip'), 'data');
+
+    assert.strictEqual(readCachedBuild('a', cacheDir), null);
+    for (const key of ['a', 'b', 'c']) {
+      storeCachedBuild(key, { webDir: build }, { cacheDir, limit: 3 });
+      const entry = path.join(cacheDir, key);
+      const past = new Date(Date.now() - 60_000 * (3 - 'abc'.indexOf(key)));
+      fs.utimesSync(entry, past, past);
+    }
+    const hit = readCachedBuild('a', cacheDir);
+    assert.strictEqual(fs.readFileSync(path.join(hit.webDir, 'index.html'), 'utf-8'), '<title>web</title>');
+    assert.deepStrictEqual(hit.packages, {});
+
+    // "a" was just used, so "b" is the oldest
+    storeCachedBuild('d', { webDir: build }, { cacheDir, limit: 3 });
+    assert.deepStrictEqual(fs.readdirSync(cacheDir).sort(), ['a', 'c', 'd']);
+    assert.deepStrictEqual(pruneCache(cacheDir, 1), ['a', 'c']);
+    assert.deepStrictEqual(fs.readdirSync(cacheDir), ['d']);
+  });
+});
+
+test('adds desktop packages to a cached build and keeps its web build', () => {
+  withTmpDir((tmpDir) => {
+    const cacheDir = path.join(tmpDir, 'cache');
+    const build = path.join(tmpDir, 'build');
+    write(path.join(build, 'index.html'), '<title>web</title>');
+    const pcZip = path.join(tmpDir, 'dists', 'game-1.0-pc.zip');
+    const macZip = path.join(tmpDir, 'dists', 'game-1.0-mac.zip');
+    write(pcZip, 'pc');
+    write(macZip, 'mac');
+
+    assert.throws(() => storeCachedBuild('a', { packages: { pc: pcZip } }, { cacheDir }), /No web build/);
+    storeCachedBuild('a', { webDir: build, packages: { pc: pcZip } }, { cacheDir });
+    const hit = storeCachedBuild('a', { packages: { mac: macZip } }, { cacheDir });
+    assert.strictEqual(fs.readFileSync(path.join(hit.webDir, 'index.html'), 'utf-8'), '<title>web</title>');
+    assert.deepStrictEqual(Object.keys(hit.packages).sort(), ['mac', 'pc']);
+    assert.strictEqual(path.basename(hit.packages.pc), 'game-1.0-pc.zip');
+    assert.strictEqual(fs.readFileSync(hit.packages.mac, 'utf-8'), 'mac');
+  });
+});
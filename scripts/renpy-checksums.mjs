@@ -0,0 +1,72 @@
+/**
+ * renpy-checksums.mjs
+ *
+ * Checks install-renpy.mjs runs on a Ren'Py archive, downloaded or given with
+ * --from / --web-from, before extracting it: the SHA-256 against a pinned
+ * checksum (RENPY_CHECKSUMS, or --sha256 / --web-sha256), and a read of the
+ * whole archive so a truncated file is refused instead of half-extracted.
+ */
+
+import { execFileSync } from 'child_process';
+import AdmZip from 'adm-zip';
+import { sha256File } from './file-hash.mjs';
+
+/**
+ * Trusted SHA-256 of Ren'Py archives, by the file name renpy.org serves them as
+ * (renpy-<version>-sdk.tar.bz2, renpy-<version>-web.zip, ...). Add an entry only
+ * for a checksum you have checked yourself, e.g. from a download you verified
+ * on another machine. An archive that is in neither this table nor --sha256 /
+ * --web-sha256 is installed with a warning showing its SHA-256.
+ * @type {Record<string, string>}
+ */
+export const RENPY_CHECKSUMS = {};
+
+const SHA256_RE = /^[0-9a-f]{64}$/;
+
+/**
+ * @param {string} value
+ * @returns {string | null} Lowercase hex SHA-256, or null if value is not one
+ */
+export function parseSha256(value) {
+  const hex = String(value).trim().toLowerCase();
+  return SHA256_RE.test(hex) ? hex : null;
+}
+
+/**
+ * Compare an archive with the checksum given on the command line, else the
+ * pinned one for its name.
+ * @param {string} filePath
+ * @param {string} archiveName - Name renpy.org serves the archive as
+ * @param {{ sha256?: string | null, checksums?: Record<string, string> }} [options]
+ * @returns {{ sha256: string, verified: boolean }} verified is false when no checksum is known
+ * @throws {Error} When the archive does not match
+ */
+export function verifyChecksum(filePath, archiveName, { sha256 = null, checksums = RENPY_CHECKSUMS } = {}) {
+  const expected = sha256 ?? checksums[archiveName] ?? null;
+  const actual = sha256File(filePath);
+  if (expected && actual !== expected) {
+    throw new Error(`SHA-256 mismatch for ${archiveName}: expected ${expected}, got ${actual}. The file is corrupt, truncated or not the official archive.`);
+  }
+  return { sha256: actual, verified: Boolean(expected) };
+}
+
+/**
+ * Read an archive through without extracting it.
+ * @param {string} filePath
+ * @param {'tar.bz2' | 'zip' | 'dmg'} format
+ * @throws {Error} When the archive is truncated or corrupt
+ */
+export function checkArchive(filePath, format) {
+  try {
+    if (format === 'zip') {
+      if (!new AdmZip(filePath).test()) throw new Error('CRC check failed');
+    } else if (format === 'tar.bz2') {
+      execFileSync('tar', ['tjf', filePath], { stdio: ['ignore', 'ignore', 'pipe'], maxBuffer: 64 * 1024 * 1024 });
+    } else if (format === 'dmg') {
+      execFileSync('hdiutil', ['verify', '-quiet', filePath], { stdio: ['ignore', 'ignore', 'pipe'] });
+    }
+  } catch (err) {
+    const detail = err.stderr?.toString().trim().split('\n')[0] || err.message;
+    throw new Error(`${filePath} is not a readable ${format} archive (truncated download?): ${detail}`);
+  }
+}
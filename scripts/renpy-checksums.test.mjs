@@ -0,0 +1,69 @@
+/**
+ * Tests the checks install-renpy runs on a Ren'Py archive before extracting it,
+ * and listing installed SDKs.
+ * Run: node --test scripts/renpy-checksums.test.mjs
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { test } from 'node:test';
+import assert from 'node:assert';
+import AdmZip from 'adm-zip';
+import { checkArchive, parseSha256, verifyChecksum } from './renpy-checksums.mjs';
+import { listInstalledSdks } from './renpy-utils.mjs';
+
+function withTmpDir(fn) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lofi-renpy-checksums-test-'));
+  try {
+    fn(tmpDir);
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+test('verifies the SHA-256 given on the command line, else the pinned one', () => {
+  withTmpDir((tmpDir) => {
+    const zipPath = path.join(tmpDir, 'renpy-8.5.2-web.zip');
+    fs.writeFileSync(zipPath, 'web');
+    const sha256 = crypto.createHash('sha256').update('web').digest('hex');
+    const other = 'a'.repeat(64);
+
+    assert.deepStrictEqual(verifyChecksum(zipPath, 'renpy-8.5.2-web.zip', { sha256 }), { sha256, verified: true });
+    assert.deepStrictEqual(verifyChecksum(zipPath, 'renpy-8.5.2-web.zip', { checksums: {} }), { sha256, verified: false });
+    assert.deepStrictEqual(
+      verifyChecksum(zipPath, 'renpy-8.5.2-web.zip', { checksums: { 'renpy-8.5.2-web.zip': sha256 } }),
+      { sha256, verified: true },
+    );
+    assert.throws(
+      () => verifyChecksum(zipPath, 'renpy-8.5.2-web.zip', { checksums: { 'renpy-8.5.2-web.zip': other } }),
+      /SHA-256 mismatch/,
+    );
+    assert.throws(() => verifyChecksum(zipPath, 'renpy-8.5.2-web.zip', { sha256: other, checksums: { 'renpy-8.5.2-web.zip': sha256 } }));
+    assert.strictEqual(parseSha256(` ${sha256.toUpperCase()}\n`), sha256);
+    assert.strictEqual(parseSha256('abc'), null);
+  });
+});
+
+test('refuses a truncated archive and lists installed SDKs', () => {
+  withTmpDir((tmpDir) => {
+    const zip = new AdmZip();
+    zip.addFile('web/index.html', Buffer.from('<title>renpyweb</title>'.repeat(200)));
+    const zipPath = path.join(tmpDir, 'web.zip');
+    zip.writeZip(zipPath);
+    checkArchive(zipPath, 'zip');
+    const truncated = path.join(tmpDir, 'truncated.zip');
+    fs.writeFileSync(truncated, fs.readFileSync(zipPath).subarray(0, 100));
+    assert.throws(() => checkArchive(truncated, 'zip'), /not a readable zip archive/);
+
+    const vendor = path.join(tmpDir, 'vendor');
+    for (const dir of ['renpy-8.10.0', 'renpy-8.5.2/web', 'extract-8.5.2']) fs.mkdirSync(path.join(vendor, dir), { recursive: true });
+    fs.writeFileSync(path.join(vendor, 'renpy-8.5.2-sdk.tar.bz2'), '');
+    assert.deepStrictEqual(
+      listInstalledSdks(vendor).map(({ version, web }) => ({ version, web })),
+      [{ version: '8.5.2', web: true }, { version: '8.10.0', web: false }],
+    );
+    assert.deepStrictEqual(listInstalledSdks(path.join(tmpDir, 'missing')), []);
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * renpy-logs.mjs
+ *
+ * Logs of the Ren'Py builds add-game runs, in logs/add-game/<id>-<timestamp>/:
+ *
+ *   build.log         everything `renpy.sh distribute` printed (also shown live)
+ *   traceback.txt     written by Ren'Py when the build raised an exception
+ *   errors.txt        written by Ren'Py when the project's scripts do not compile
+ *   project/          the extracted project of a failed build, with --keep-failed
+ *
+ * parseRenpyError() turns traceback.txt / errors.txt into a one-line summary:
+ * the .rpy file, the line and the exception or error message.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+export const BUILD_LOGS_DIR = path.join(ROOT_DIR, 'logs', 'add-game');
+export const BUILD_LOG_FILE = 'build.log';
+// Files Ren'Py writes next to game/ when something goes wrong, most useful first
+export const RENPY_ERROR_FILES = ['traceback.txt', 'errors.txt', 'log.txt'];
+
+/**
+ * Create logs/add-game/<id>-<timestamp>/.
+ * @param {string} gameId
+ * @param {string} [logsDir]
+ * @returns {string}
+ */
+export function createBuildLogDir(gameId, logsDir = BUILD_LOGS_DIR) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const dir = path.join(logsDir, `${gameId}-${stamp}`);
+  fs.mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+/**
+ * Run the launcher, showing its output on `echo` and saving it to logFile.
+ * @param {string} command
+ * @param {string[]} args
+ * @param {{ cwd: string, timeout: number, logFile: string, echo: NodeJS.WritableStream, signal?: AbortSignal }} options
+ *   signal: kills the launcher when aborted (the result then has an AbortError)
+ * @returns {Promise<{ code: number | null, timedOut: boolean, error?: Error }>}
+ */
+export function runLogged(command, args, { cwd, timeout, logFile, echo, signal }) {
+  return new Promise((resolve) => {
+    const fd = fs.openSync(logFile, 'a');
+    fs.writeSync(fd, `$ ${[command, ...args].map((a) => JSON.stringify(a)).join(' ')}\n`);
+    let timedOut = false;
+    let settled = false;
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      fs.closeSync(fd);
+      resolve({ timedOut, ...result });
+    };
+    const child = spawn(command, args, { cwd, stdio: ['ignore', 'pipe', 'pipe'], signal });
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill();
+    }, timeout);
+    const onData = (chunk) => {
+      fs.writeSync(fd, chunk);
+      echo.write(chunk);
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    child.on('error', (error) => finish({ code: null, error }));
+    child.on('close', (code) => finish({ code }));
+  });
+}
+
+/**
+ * Copy the error files Ren'Py wrote during the build into the log directory.
+ * Files older than the build are someone else's and are skipped.
+ * @param {{ dir: string, prefix?: string }[]} sources - Directories Ren'Py may write to; prefix names the copies
+ * @param {string} logDir
+ * @param {number} since - Build start (ms)
+ * @returns {string[]} Names of the copies
+ */
+export function collectRenpyErrorFiles(sources, logDir, since) {
+  const copied = [];
+  for (const { dir, prefix = '' } of sources) {
+    for (const name of RENPY_ERROR_FILES) {
+      const filePath = path.join(dir, name);
+      if (!fs.existsSync(filePath) || fs.statSync(filePath).mtimeMs < since) continue;
+      const copy = `${prefix}${name}`;
+      if (copied.includes(copy)) continue;
+      fs.copyFileSync(filePath, path.join(logDir, copy));
+      copied.push(copy);
+    }
+  }
+  return copied;
+}
+
+/**
+ * @typedef {object} RenpyError
+ * @property {string | null} file - Script the error is in, e.g. game/script.rpy
+ * @property {number | null} line
+ * @property {string} message - Exception ("NameError: name 'x' is not defined") or compile error
+ */
+
+/**
+ * Summarise a traceback.txt or errors.txt. For a traceback, the innermost .rpy
+ * frame and the exception; for script errors, the first one.
+ * @param {string} text
+ * @returns {RenpyError | null}
+ */
+export function parseRenpyError(text) {
+  const body = text.replace(/\r\n/g, '\n').split(/^-- Full Traceback/m)[0];
+  const frames = [...body.matchAll(/File "([^"]+\.rpym?)", line (\d+)(?::[ \t]*(.+))?/g)];
+  const compileError = frames.find((m) => m[3]);
+  if (compileError) {
+    return { file: compileError[1], line: Number(compileError[2]), message: compileError[3].trim() };
+  }
+  // The exception is the last unindented line of the short traceback
+  const exception = body.split('\n').filter((l) => l.trim() && !/^\s/.test(l) && !/^(I'm sorry|While |File )/.test(l)).pop();
+  const frame = frames.at(-1);
+  if (!exception && !frame) return null;
+  return {
+    file: frame ? frame[1] : null,
+    line: frame ? Number(frame[2]) : null,
+    message: exception?.trim() ?? 'unknown error',
+  };
+}
+
+/**
+ * "game/script.rpy:12: NameError: ..." from the first error file that parses.
+ * @param {string} logDir
+ * @param {string[]} files - Copies in logDir, as returned by collectRenpyErrorFiles
+ * @returns {string | null}
+ */
+export function describeRenpyError(logDir, files) {
+  for (const name of files.filter((f) => /(traceback|errors)\.txt$/.test(f))) {
+    const parsed = parseRenpyError(fs.readFileSync(path.join(logDir, name), 'utf-8'));
+    if (parsed) return `${parsed.file ? `${parsed.file}${parsed.line ? `:${parsed.line}` : ''}: ` : ''}${parsed.message}`;
+  }
+  return null;
+}
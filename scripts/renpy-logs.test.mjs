@@ -0,0 +1,54 @@
+/**
+ * Tests summarising the traceback.txt / errors.txt of a failed Ren'Py build.
+ * Run: node --test scripts/renpy-logs.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { parseRenpyError } from './renpy-logs.mjs';
+
+const TRACEBACK = `I'm sorry, but an uncaught exception occurred.
+
+While running game code:
+  File "game/script.rpy", line 14, in script call
+    call ending
+  File "game/ending.rpy", line 6, in script
+    $ score = total / rounds
+  File "game/ending.rpy", line 6, in <module>
+    $ score = total / rounds
+ZeroDivisionError: division by zero
+
+-- Full Traceback ------------------------------------------------------------
+
+Full traceback:
+  File "renpy/execution.py", line 1, in run
+ValueError: not this one
+`;
+
+const ERRORS = `I'm sorry, but errors were detected in your script. Please correct the
+errors listed below, and try again.
+
+
+File "game/script.rpy", line 12: expected statement.
+    e "Hello
+      ^
+
+File "game/options.rpy", line 3: is not a valid define statement.
+
+Ren'Py Version: Ren'Py 8.5.2
+`;
+
+test('summarises an exception by its innermost .rpy frame', () => {
+  assert.deepStrictEqual(parseRenpyError(TRACEBACK), {
+    file: 'game/ending.rpy',
+    line: 6,
+    message: 'ZeroDivisionError: division by zero',
+  });
+  assert.deepStrictEqual(parseRenpyError(TRACEBACK.replace(/\n/g, '\r\n')), parseRenpyError(TRACEBACK));
+});
+
+test('summarises script errors by the first one', () => {
+  assert.deepStrictEqual(parseRenpyError(ERRORS), { file: 'game/script.rpy', line: 12, message: 'expected statement.' });
+  assert.deepStrictEqual(parseRenpyError('Exception: launcher could not start\n'), { file: null, line: null, message: 'Exception: launcher could not start' });
+  assert.strictEqual(parseRenpyError(''), null);
+});
@@ -2,8 +2,8 @@
  * renpy-utils.mjs
  *
  * Shared helpers for Ren'Py SDK: SDK path, launcher, cwd, web support,
- * and detection of a Ren'Py project directory.
- * Used by add-game.mjs and install-renpy.test.mjs.
+ * detection of a Ren'Py project directory and of the Ren'Py version it was made with.
+ * Used by add-game.mjs, install-renpy.mjs and install-renpy.test.mjs.
  */
 
 import fs from 'fs';
@@ -14,13 +14,17 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const ROOT_DIR = path.resolve(__dirname, '..');
 const VENDOR_RENPY = path.join(ROOT_DIR, 'vendor', 'renpy');
-const DEFAULT_VERSION = process.env.RENPY_VERSION || '8.5.2';
+/** SDK used when a game does not pin one: RENPY_VERSION, else 8.5.2 */
+export const DEFAULT_RENPY_VERSION = process.env.RENPY_VERSION || '8.5.2';
+
+/** Desktop packages `renpy.sh distribute` can build: pc (Windows + Linux), mac, linux, market (all three, for stores) */
+export const RENPY_DESKTOP_PACKAGES = ['pc', 'mac', 'linux', 'market'];
 
 /**
  * @param {string} [version] - Ren'Py version (default: RENPY_VERSION or 8.5.2)
  * @returns {string | null} Path to SDK root, or null if not installed
  */
-export function getSdkRoot(version = DEFAULT_VERSION) {
+export function getSdkRoot(version = DEFAULT_RENPY_VERSION) {
   const dir = path.join(VENDOR_RENPY, `renpy-${version}`);
   try {
     fs.accessSync(dir);
@@ -30,6 +34,22 @@ export function getSdkRoot(version = DEFAULT_VERSION) {
   }
 }
 
+/**
+ * SDKs installed in vendor/renpy (renpy-<version>/), oldest version first.
+ * @param {string} [vendorDir]
+ * @returns {{ version: string, path: string, web: boolean }[]}
+ */
+export function listInstalledSdks(vendorDir = VENDOR_RENPY) {
+  if (!fs.existsSync(vendorDir)) return [];
+  return fs.readdirSync(vendorDir, { withFileTypes: true })
+    .filter((e) => e.isDirectory() && e.name.startsWith('renpy-'))
+    .map((e) => {
+      const dir = path.join(vendorDir, e.name);
+      return { version: e.name.slice('renpy-'.length), path: dir, web: hasWebSupport(dir) };
+    })
+    .sort((a, b) => a.version.localeCompare(b.version, undefined, { numeric: true }));
+}
+
 /**
  * @param {string} sdkRoot
  * @returns {boolean}
@@ -189,3 +209,25 @@ export function findRenpyDistributionRoot(gameDir) {
   }
   return null;
 }
+
+/**
+ * Ren'Py version a project records, if any: game/script_version.txt, which
+ * Ren'Py writes when it builds a distribution (e.g. "(8, 1, 3, 23091805)"), or
+ * a config.script_version set in game/options.rpy. game/cache/ only names the
+ * Python bytecode version, which is shared by many Ren'Py releases, so it is not used.
+ * @param {string} projectPath - Directory containing game/
+ * @returns {{ version: string, source: string } | null} source: file the version was read from
+ */
+export function detectRenpyVersion(projectPath) {
+  const candidates = [
+    ['script_version.txt', /^\s*\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/],
+    ['options.rpy', /^\s*(?:define\s+)?config\.script_version\s*=\s*\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/m],
+  ];
+  for (const [name, pattern] of candidates) {
+    const filePath = path.join(projectPath, 'game', name);
+    if (!fs.existsSync(filePath)) continue;
+    const match = fs.readFileSync(filePath, 'utf-8').match(pattern);
+    if (match) return { version: match.slice(1, 4).join('.'), source: `game/${name}` };
+  }
+  return null;
+}
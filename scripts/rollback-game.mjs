@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+
+/**
+ * rollback-game.mjs
+ *
+ * Switches a game back to an earlier version that add-game kept in
+ * play/<game-id>/<version>/. Only games.yaml is changed (current `version`
+ * and `entryPoint`); nothing is extracted or rebuilt. Without a version,
+ * rolls back to the version installed before the current one.
+ *
+ * Usage:
+ *   npm run rollback-game -- <game-id> [<version>] [--dry-run]
+ *
+ * Examples:
+ *   npm run rollback-game -- my-game
+ *   npm run rollback-game -- my-game 1.1.0
+ *   npm run rollback-game -- my-game 1.1.0 --dry-run
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { METADATA_FILE, describeHolder, lockMetadata, readMetadata, writeMetadata } from './games-metadata.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT_DIR = path.resolve(__dirname, '..');
+const GAMES_DIR = path.join(ROOT_DIR, 'play');
+
+const colors = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m',
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function error(message) {
+  console.error(`${colors.red}Error: ${message}${colors.reset}`);
+  process.exit(1);
+}
+
+function parseArgs(args) {
+  const positional = args.filter((a) => !a.startsWith('--'));
+  const dryRun = args.includes('--dry-run');
+  return { gameId: positional[0], version: positional[1], dryRun };
+}
+
+async function lockGamesYaml() {
+  try {
+    await lockMetadata({ onWait: (holder) => log(`games.yaml is in use by ${describeHolder(holder)}; waiting for it to finish...`, 'yellow') });
+  } catch (err) {
+    error(err.message);
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const { gameId, version, dryRun } = parseArgs(args);
+
+  if (!gameId) {
+    log('Usage: npm run rollback-game -- <game-id> [<version>] [--dry-run]', 'yellow');
+    log('');
+    log('Examples:', 'cyan');
+    log('  npm run rollback-game -- my-game');
+    log('  npm run rollback-game -- my-game 1.1.0');
+    process.exit(1);
+  }
+
+  if (dryRun) {
+    log('DRY RUN MODE - No changes will be made', 'yellow');
+    log('');
+  }
+
+  if (!dryRun) await lockGamesYaml();
+  let metadata;
+  try {
+    metadata = readMetadata();
+  } catch (err) {
+    error(`Failed to read metadata file: ${err.message}`);
+  }
+  const game = metadata.games.find((g) => g.id === gameId);
+  if (!game) {
+    error(`Game not found: ${gameId}`);
+  }
+  const versions = game.versions ?? [];
+  if (versions.length === 0) {
+    error(`"${gameId}" has no version history. Versions are recorded when add-game installs a web build.`);
+  }
+
+  const current = String(game.version);
+  let target;
+  if (version) {
+    target = versions.find((v) => String(v.version) === version);
+    if (!target) {
+      error(`Version ${version} of "${gameId}" not found. Available: ${versions.map((v) => v.version).join(', ')}`);
+    }
+  } else {
+    const currentIndex = versions.findIndex((v) => String(v.version) === current);
+    if (currentIndex <= 0) {
+      error(`No version before ${current} to roll back to. Available: ${versions.map((v) => v.version).join(', ')}`);
+    }
+    target = versions[currentIndex - 1];
+  }
+
+  if (String(target.version) === current) {
+    log(`"${gameId}" is already at version ${current}. Nothing to do.`, 'green');
+    return;
+  }
+
+  const entryPath = path.join(GAMES_DIR, gameId, String(target.version), target.entryPoint);
+  if (!fs.existsSync(entryPath)) {
+    error(`Build for version ${target.version} is missing on disk (expected ${entryPath}).`);
+  }
+
+  log(`Rolling back "${game.name}" (${gameId}): ${current} → ${target.version}`, 'cyan');
+
+  if (dryRun) {
+    log('', 'reset');
+    log('Would set in games.yaml:', 'yellow');
+    log(`  - version: ${target.version}`);
+    log(`  - entryPoint: ${target.entryPoint}`);
+    log('');
+    log('Dry run complete. No changes were made.', 'green');
+    return;
+  }
+
+  game.version = String(target.version);
+  game.entryPoint = target.entryPoint;
+  try {
+    writeMetadata(metadata);
+  } catch (err) {
+    error(`Failed to write metadata file: ${err.message}`);
+  }
+  log(`Saved metadata to: ${METADATA_FILE}`, 'green');
+
+  log('', 'reset');
+  log('========================================', 'green');
+  log(`Game "${gameId}" now serves version ${target.version}.`, 'green');
+  log('========================================', 'green');
+  log('');
+  log('Run "npm run build" to rebuild the site, then deploy it.', 'cyan');
+}
+
+main().catch((err) => {
+  error(err.message);
+});
@@ -0,0 +1,69 @@
+/**
+ * Tests that add-game keeps each version in play/<id>/<version>/ and that
+ * rollback-game switches the current version without re-extracting.
+ * Run: node --test scripts/rollback-game.test.mjs
+ */
+
+import { execSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { test } from 'node:test';
+import assert from 'node:assert';
+import yaml from 'yaml';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.resolve(__dirname, '..');
+const GAMES_DIR = path.join(ROOT, 'play');
+const METADATA_FILE = path.join(ROOT, 'src', 'data', 'games.yaml');
+const GAME_ID = 'example-rollback-game';
+const ZIP_PATH = path.join(ROOT, 'example-game.zip');
+
+function run(cmd) {
+  return execSync(cmd, {
+    cwd: ROOT,
+    encoding: 'utf-8',
+    env: {
+      ...process.env,
+      GAME_NAME: 'Example Rollback Game',
+      GAME_TYPE: 'html',
+      GAME_DESCRIPTION: 'A sample game for testing rollback.',
+    },
+  });
+}
+
+function readGame() {
+  if (!fs.existsSync(METADATA_FILE)) return undefined;
+  const data = yaml.parse(fs.readFileSync(METADATA_FILE, 'utf-8')) || { games: [] };
+  return data.games.find((g) => g.id === GAME_ID);
+}
+
+test('add two versions side by side, then roll back and forward', async () => {
+  if (readGame()) {
+    run(`node scripts/remove-game.mjs ${GAME_ID}`);
+  }
+
+  try {
+    run(`node scripts/add-game.mjs ${GAME_ID} "${ZIP_PATH}" --version 1.0.0`);
+    run(`node scripts/add-game.mjs ${GAME_ID} "${ZIP_PATH}" --version 1.1.0`);
+
+    assert.ok(fs.existsSync(path.join(GAMES_DIR, GAME_ID, '1.0.0', 'index.html')), '1.0.0 should be kept');
+    assert.ok(fs.existsSync(path.join(GAMES_DIR, GAME_ID, '1.1.0', 'index.html')), '1.1.0 should be installed');
+    let game = readGame();
+    assert.strictEqual(game.version, '1.1.0');
+    assert.deepStrictEqual(game.versions.map((v) => v.version), ['1.0.0', '1.1.0']);
+
+    run(`node scripts/rollback-game.mjs ${GAME_ID}`);
+    game = readGame();
+    assert.strictEqual(game.version, '1.0.0');
+    assert.strictEqual(game.entryPoint, 'index.html');
+    assert.ok(fs.existsSync(path.join(GAMES_DIR, GAME_ID, '1.1.0')), 'rollback should not delete newer builds');
+
+    run(`node scripts/rollback-game.mjs ${GAME_ID} 1.1.0`);
+    assert.strictEqual(readGame().version, '1.1.0');
+
+    assert.throws(() => execSync(`node scripts/rollback-game.mjs ${GAME_ID} 9.9.9`, { cwd: ROOT, stdio: 'pipe' }));
+  } finally {
+    if (readGame()) run(`node scripts/remove-game.mjs ${GAME_ID}`);
+  }
+});
@@ -0,0 +1,135 @@
+/**
+ * rpgmaker-utils.mjs
+ *
+ * Detection of RPG Maker deployments in an uploaded game, from a list of file
+ * paths so the same checks work on an extracted directory and on zip entry names
+ * (dry run). Recognised layouts:
+ *   - MV/MZ web deployment: index.html + js/rpg_core.js (MV) or js/rmmz_core.js (MZ) at the root
+ *   - MV Windows/Linux deployment: NW.js runtime at the root, game in www/
+ *   - MV/MZ macOS deployment: game in <Name>.app/Contents/Resources/app.nw/
+ *   - MZ desktop deployment: NW.js runtime next to the web files at the root
+ * Desktop-only builds (packed package.nw, XP/VX/VX Ace RGSS games) are reported
+ * with no web root. Used by add-game.mjs.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const CORE_SCRIPTS = { MV: 'js/rpg_core.js', MZ: 'js/rmmz_core.js' };
+
+// NW.js runtime files shipped next to the game in desktop deployments. None of
+// them are needed in the browser; credits.html would otherwise look like a second entry point.
+const NWJS_RUNTIME_FILES = new Set([
+  'game.exe', 'nw.exe', 'notification_helper.exe', 'game', 'nw', 'nacl_helper', 'nacl_helper_bootstrap', 'chrome_crashpad_handler',
+  'nw.pak', 'nw_100_percent.pak', 'nw_200_percent.pak', 'resources.pak', 'icudtl.dat',
+  'natives_blob.bin', 'snapshot_blob.bin', 'v8_context_snapshot.bin', 'credits.html', 'package.nw',
+]);
+const NWJS_RUNTIME_DIRS = new Set(['locales', 'swiftshader', 'pnacl']);
+const NWJS_RUNTIME_EXTENSIONS = new Set(['.dll', '.so', '.dylib']);
+
+/**
+ * @typedef {object} RpgMakerDetection
+ * @property {'MV' | 'MZ' | 'RGSS'} engine - RGSS covers XP, VX and VX Ace
+ * @property {string | null} webRoot - Folder holding index.html ('' for the root),
+ *   or null for desktop-only builds
+ * @property {boolean} desktop - NW.js runtime files are present
+ */
+
+/**
+ * List every file under dir as a "/"-separated path relative to dir.
+ * @param {string} dir
+ * @returns {string[]}
+ */
+export function listFiles(dir) {
+  const files = [];
+  function walk(current, prefix) {
+    for (const e of fs.readdirSync(current, { withFileTypes: true })) {
+      const rel = prefix ? `${prefix}/${e.name}` : e.name;
+      if (e.isDirectory()) walk(path.join(current, e.name), rel);
+      else files.push(rel);
+    }
+  }
+  if (fs.existsSync(dir)) walk(dir, '');
+  return files;
+}
+
+/**
+ * Recognise an RPG Maker deployment.
+ * @param {string[]} filePaths - Paths relative to the game root, "/"-separated
+ * @returns {RpgMakerDetection | null} null when this is not an RPG Maker game
+ */
+export function detectRpgMaker(filePaths) {
+  const files = new Set(filePaths.map((p) => p.replace(/\\/g, '/').replace(/\/$/, '')));
+  const lower = new Set([...files].map((p) => p.toLowerCase()));
+  const desktop = [...lower].some((p) => !p.includes('/') && (p === 'nw.pak' || p === 'package.nw' || p === 'nw.dll' || p === 'game.exe'));
+
+  const macRoots = [...files]
+    .map((p) => p.match(/^([^/]+\.app\/Contents\/Resources\/app\.nw)\/index\.html$/)?.[1])
+    .filter(Boolean);
+  for (const webRoot of ['', 'www', ...macRoots]) {
+    const prefix = webRoot ? `${webRoot}/` : '';
+    if (!files.has(`${prefix}index.html`)) continue;
+    for (const [engine, core] of Object.entries(CORE_SCRIPTS)) {
+      if (files.has(prefix + core)) {
+        return { engine: /** @type {'MV' | 'MZ'} */ (engine), webRoot, desktop: desktop || webRoot !== '' };
+      }
+    }
+  }
+
+  // Desktop builds with the game packed into package.nw or the executable
+  if (lower.has('package.nw') || (lower.has('package.json') && lower.has('nw.pak') && !lower.has('index.html'))) {
+    return { engine: 'MV', webRoot: null, desktop: true };
+  }
+  // RPG Maker XP / VX / VX Ace: Windows-only RGSS player
+  if (lower.has('game.ini') && [...lower].some((p) => /^game\.rgss[a-z0-9]*$/.test(p) || /^data\/.+\.(rxdata|rvdata2?)$/.test(p))) {
+    return { engine: 'RGSS', webRoot: null, desktop: true };
+  }
+  return null;
+}
+
+/**
+ * Make the web build the root of gameDir: move the contents of webRoot (e.g. www/)
+ * up and drop everything else (the desktop runtime).
+ * @param {string} gameDir
+ * @param {string} webRoot - Relative folder from detectRpgMaker
+ */
+export function flattenRpgMakerWebRoot(gameDir, webRoot) {
+  if (!webRoot) return;
+  const tmp = `${gameDir}.rpgmaker-web-${Date.now()}`;
+  fs.renameSync(path.join(gameDir, webRoot), tmp);
+  fs.rmSync(gameDir, { recursive: true });
+  fs.renameSync(tmp, gameDir);
+}
+
+/**
+ * Remove NW.js runtime files that desktop deployments keep next to the web files.
+ * @param {string} gameDir
+ * @returns {string[]} Names that were removed
+ */
+export function pruneNwjsRuntime(gameDir) {
+  const removed = [];
+  for (const e of fs.readdirSync(gameDir, { withFileTypes: true })) {
+    const name = e.name.toLowerCase();
+    const isRuntime = e.isDirectory()
+      ? NWJS_RUNTIME_DIRS.has(name) || name.endsWith('.app')
+      : NWJS_RUNTIME_FILES.has(name) || NWJS_RUNTIME_EXTENSIONS.has(path.extname(name));
+    if (isRuntime) {
+      fs.rmSync(path.join(gameDir, e.name), { recursive: true, force: true });
+      removed.push(e.name);
+    }
+  }
+  return removed;
+}
+
+/**
+ * The first title screen image (img/titles1/), a better cover than a random sprite.
+ * Encrypted images (.rpgmvp / .png_) are skipped.
+ * @param {string} gameDir - Web root of the game
+ * @returns {{ filePath: string, ext: string } | null}
+ */
+export function findRpgMakerTitleImage(gameDir) {
+  const titlesDir = path.join(gameDir, 'img', 'titles1');
+  if (!fs.existsSync(titlesDir)) return null;
+  const name = fs.readdirSync(titlesDir).sort().find((f) => /\.(png|jpe?g|webp)$/i.test(f));
+  return name ? { filePath: path.join(titlesDir, name), ext: path.extname(name).toLowerCase() } : null;
+}
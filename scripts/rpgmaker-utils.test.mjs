@@ -0,0 +1,76 @@
+/**
+ * Tests RPG Maker deployment detection and how add-game unpacks an MV desktop build.
+ * Run: node --test scripts/rpgmaker-utils.test.mjs
+ */
+
+import { execSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { test } from 'node:test';
+import assert from 'node:assert';
+import yaml from 'yaml';
+import { detectRpgMaker } from './rpgmaker-utils.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.resolve(__dirname, '..');
+const METADATA_FILE = path.join(ROOT, 'src', 'data', 'games.yaml');
+
+test('detects MV/MZ web, desktop and desktop-only layouts', () => {
+  assert.deepStrictEqual(
+    detectRpgMaker(['index.html', 'js/rpg_core.js', 'js/main.js', 'img/titles1/Castle.png']),
+    { engine: 'MV', webRoot: '', desktop: false }
+  );
+  assert.deepStrictEqual(
+    detectRpgMaker(['Game.exe', 'nw.pak', 'package.json', 'www/index.html', 'www/js/rpg_core.js']),
+    { engine: 'MV', webRoot: 'www', desktop: true }
+  );
+  assert.deepStrictEqual(
+    detectRpgMaker(['Game.exe', 'nw.dll', 'credits.html', 'package.json', 'index.html', 'js/rmmz_core.js']),
+    { engine: 'MZ', webRoot: '', desktop: true }
+  );
+  assert.deepStrictEqual(
+    detectRpgMaker(['Game.app/Contents/Resources/app.nw/index.html', 'Game.app/Contents/Resources/app.nw/js/rmmz_core.js']),
+    { engine: 'MZ', webRoot: 'Game.app/Contents/Resources/app.nw', desktop: true }
+  );
+  assert.deepStrictEqual(detectRpgMaker(['Game.exe', 'Game.ini', 'Game.rgss3a']), { engine: 'RGSS', webRoot: null, desktop: true });
+  assert.deepStrictEqual(detectRpgMaker(['Game.exe', 'nw.pak', 'package.nw']), { engine: 'MV', webRoot: null, desktop: true });
+  assert.strictEqual(detectRpgMaker(['index.html', 'js/main.js']), null);
+});
+
+test('add-game flattens www/ of an MV desktop build and sets type rpgmaker', () => {
+  const gameId = 'example-rpgmaker-game';
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lofi-rpgmaker-test-'));
+  const build = path.join(tmpDir, 'MyGame');
+  for (const [file, content] of Object.entries({
+    'Game.exe': 'exe',
+    'nw.pak': 'pak',
+    'package.json': '{"main":"www/index.html"}',
+    'locales/en-US.pak': 'pak',
+    'www/index.html': '<!doctype html><title>RPG</title>',
+    'www/js/rpg_core.js': '// core',
+  })) {
+    fs.mkdirSync(path.dirname(path.join(build, file)), { recursive: true });
+    fs.writeFileSync(path.join(build, file), content);
+  }
+
+  try {
+    const output = execSync(`node scripts/add-game.mjs ${gameId} "${build}" --version 1.0.0 --name "RPG" --description "An RPG." --yes --json`, {
+      cwd: ROOT,
+      encoding: 'utf-8',
+      stdio: 'pipe',
+      env: { ...process.env, GAME_NAME: undefined, GAME_TYPE: undefined, GAME_DESCRIPTION: undefined },
+    });
+    const { game, playDir } = JSON.parse(output);
+    assert.strictEqual(game.type, 'rpgmaker');
+    assert.strictEqual(game.entryPoint, 'index.html');
+    assert.deepStrictEqual(fs.readdirSync(path.join(ROOT, playDir)).sort(), ['index.html', 'js']);
+  } finally {
+    const games = yaml.parse(fs.readFileSync(METADATA_FILE, 'utf-8'))?.games ?? [];
+    if (games.some((g) => g.id === gameId)) {
+      execSync(`node scripts/remove-game.mjs ${gameId}`, { cwd: ROOT, encoding: 'utf-8' });
+    }
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
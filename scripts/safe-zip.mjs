@@ -0,0 +1,285 @@
+/**
+ * safe-zip.mjs
+ *
+ * In-process zip reading and extraction for uploaded game archives (adm-zip, no
+ * system `unzip` needed). Archives are inspected before anything is written:
+ * entries with absolute paths or `..` segments, symlinks that point outside the
+ * extraction directory, and archives over the size or file-count limit are
+ * rejected with one line per problem.
+ *
+ * The sizes in entry headers are whatever the uploader wrote, so entries are not
+ * inflated by adm-zip: readEntry() inflates with zlib, with output capped at the
+ * declared size (at most the remaining size budget), and refuses an entry whose
+ * data is longer or shorter than declared or fails its CRC. The declared sizes
+ * checked by inspectZip are therefore also what ends up on disk.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import AdmZip from 'adm-zip';
+
+export const DEFAULT_ZIP_LIMITS = {
+  maxBytes: 1024 * 1024 * 1024, // 1 GiB uncompressed
+  maxFiles: 10_000,
+};
+
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (const byte of data) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * @typedef {object} ZipLimits
+ * @property {number} maxBytes - Maximum total uncompressed size
+ * @property {number} maxFiles - Maximum number of file entries
+ *
+ * @typedef {object} ZipEntryInfo
+ * @property {string} name - Normalized entry path ("/" separators, no trailing slash)
+ * @property {boolean} isDirectory
+ * @property {boolean} isSymlink
+ * @property {string} [linkTarget] - Symlink target as stored in the archive
+ * @property {number} size - Uncompressed size in bytes
+ *
+ * @typedef {object} ZipInspection
+ * @property {ZipEntryInfo[]} entries
+ * @property {number} totalBytes
+ * @property {number} fileCount
+ * @property {string[]} problems - Empty when the archive is safe to extract
+ */
+
+/**
+ * Normalize an entry name and report why it is unsafe, if it is.
+ * @param {string} rawName
+ * @returns {{ name: string, problem: string | null }}
+ */
+function checkEntryName(rawName) {
+  const name = rawName.replace(/\\/g, '/');
+  if (name.startsWith('/') || /^[A-Za-z]:/.test(name)) {
+    return { name, problem: `absolute path: ${rawName}` };
+  }
+  const parts = name.split('/').filter((p) => p !== '' && p !== '.');
+  if (parts.includes('..')) {
+    return { name, problem: `path escapes the archive root: ${rawName}` };
+  }
+  return { name: parts.join('/'), problem: null };
+}
+
+/**
+ * Whether a symlink stored at entryName with the given target stays inside the archive root.
+ * The target is walked a segment at a time; one that runs through another link
+ * is refused, since on disk it would be resolved through that link's target
+ * (a/l -> .. and x -> a/l/.. each look inside alone, but x is the parent folder).
+ * @param {string} entryName - Normalized entry path
+ * @param {string} target
+ * @param {Set<string>} links - Normalized paths of the archive's symlinks
+ */
+function symlinkStaysInside(entryName, target, links) {
+  const normalized = target.replace(/\\/g, '/');
+  if (normalized.startsWith('/') || /^[A-Za-z]:/.test(normalized)) return false;
+  const resolved = path.posix.dirname(entryName).split('/').filter((p) => p !== '.');
+  const segments = normalized.split('/');
+  for (let i = 0; i < segments.length; i++) {
+    const segment = segments[i];
+    if (segment === '' || segment === '.') continue;
+    if (segment === '..') {
+      if (resolved.length === 0) return false;
+      resolved.pop();
+    } else {
+      resolved.push(segment);
+    }
+    if (i < segments.length - 1 && links.has(resolved.join('/'))) return false;
+  }
+  return true;
+}
+
+/**
+ * Inflate an entry, trusting nothing in its header: at most maxBytes (and never
+ * more than the declared size) is inflated.
+ * @param {AdmZip.IZipEntry} entry
+ * @param {string} name - For messages
+ * @param {number} maxBytes - What is left of the size budget
+ * @returns {Buffer}
+ * @throws {Error} When the data is not the declared size, fails its CRC or cannot be inflated
+ */
+function readEntry(entry, name, maxBytes) {
+  const { size: declared, method, crc } = entry.header;
+  if (declared > maxBytes) throw new Error(`${name} declares ${declared} bytes, over the size limit`);
+  const compressed = entry.getCompressedData();
+  let data;
+  if (method === METHOD_STORED) {
+    data = compressed;
+  } else if (method === METHOD_DEFLATED) {
+    try {
+      // One byte over the declared size is enough to tell that it lies
+      data = zlib.inflateRawSync(compressed, { maxOutputLength: declared + 1 });
+    } catch (err) {
+      if (err.code === 'ERR_BUFFER_TOO_LARGE') throw new Error(`${name} inflates to more than the ${declared} bytes it declares`);
+      throw new Error(`${name} could not be inflated: ${err.message}`);
+    }
+  } else {
+    throw new Error(`${name} uses an unsupported compression method (${method})`);
+  }
+  if (data.length !== declared) throw new Error(`${name} holds ${data.length} bytes but declares ${declared}`);
+  if (crc32(data) !== crc) throw new Error(`${name} is corrupt (CRC mismatch)`);
+  return data;
+}
+
+function formatMB(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * List and check every entry of a zip without extracting it.
+ * @param {string} zipPath
+ * @param {Partial<ZipLimits>} [limits]
+ * @returns {ZipInspection}
+ * @throws {Error} When the file is not a readable zip
+ */
+export function inspectZip(zipPath, limits = {}) {
+  const { maxBytes, maxFiles } = { ...DEFAULT_ZIP_LIMITS, ...limits };
+  const zip = new AdmZip(zipPath);
+  /** @type {ZipInspection} */
+  const result = { entries: [], totalBytes: 0, fileCount: 0, problems: [] };
+
+  for (const entry of zip.getEntries()) {
+    const { name, problem } = checkEntryName(entry.entryName);
+    if (problem) {
+      result.problems.push(problem);
+      continue;
+    }
+    if (name === '') continue;
+    const mode = (entry.header.attr >>> 16) & S_IFMT;
+    /** @type {ZipEntryInfo} */
+    const info = { name, isDirectory: entry.isDirectory, isSymlink: mode === S_IFLNK, size: entry.header.size };
+    if (info.isSymlink) {
+      try {
+        info.linkTarget = readEntry(entry, name, Math.max(maxBytes - result.totalBytes, 0)).toString('utf-8');
+      } catch (err) {
+        result.problems.push(err.message);
+        continue;
+      }
+    } else if (!info.isDirectory && info.size === 0 && entry.header.compressedSize > 0) {
+      // Cheap to check now: an empty file whose payload inflates to anything is lying
+      try {
+        readEntry(entry, name, 0);
+      } catch (err) {
+        result.problems.push(err.message);
+      }
+    }
+    if (!info.isDirectory) {
+      result.fileCount += 1;
+      result.totalBytes += info.size;
+    }
+    result.entries.push(info);
+  }
+
+  // A link that is itself inside a linked directory could be resolved through the
+  // first link on disk and escape, so nothing may be stored below a symlink.
+  const links = new Set(result.entries.filter((e) => e.isSymlink).map((e) => e.name));
+  for (const { name, isSymlink, linkTarget } of result.entries) {
+    if (isSymlink && !symlinkStaysInside(name, linkTarget, links)) {
+      result.problems.push(`symlink points outside the game: ${name} -> ${linkTarget}`);
+    }
+  }
+  for (const { name } of result.entries) {
+    const parts = name.split('/');
+    for (let i = 1; i < parts.length; i++) {
+      const parent = parts.slice(0, i).join('/');
+      if (links.has(parent)) {
+        result.problems.push(`entry is stored below the symlink ${parent}: ${name}`);
+        break;
+      }
+    }
+  }
+
+  if (result.totalBytes > maxBytes) {
+    result.problems.push(`uncompressed size ${formatMB(result.totalBytes)} is over the limit of ${formatMB(maxBytes)}`);
+  }
+  if (result.fileCount > maxFiles) {
+    result.problems.push(`${result.fileCount} files is over the limit of ${maxFiles}`);
+  }
+  return result;
+}
+
+/**
+ * Extract a zip into destDir after checking it with inspectZip. Nothing is written
+ * when a check fails.
+ * @param {string} zipPath
+ * @param {string} destDir - Created if missing
+ * @param {{ stripPrefix?: string, limits?: Partial<ZipLimits> }} [options] - stripPrefix:
+ *   single top-level folder to flatten away (entries outside it are skipped)
+ * @returns {ZipInspection}
+ * @throws {Error} Listing every problem when the archive is unsafe, or when an
+ *   entry's data does not match its header (files before it may have been written)
+ */
+export function extractZipSafely(zipPath, destDir, options = {}) {
+  const inspection = inspectZip(zipPath, options.limits);
+  if (inspection.problems.length > 0) {
+    throw new Error(formatZipProblems(zipPath, inspection.problems));
+  }
+
+  const zip = new AdmZip(zipPath);
+  const byName = new Map(zip.getEntries().map((e) => [checkEntryName(e.entryName).name, e]));
+  const prefix = options.stripPrefix ? `${options.stripPrefix}/` : '';
+  const root = path.resolve(destDir);
+  const { maxBytes } = { ...DEFAULT_ZIP_LIMITS, ...options.limits };
+  const links = new Set(inspection.entries
+    .filter((e) => e.isSymlink && e.name.startsWith(prefix))
+    .map((e) => e.name.slice(prefix.length)));
+  let written = 0;
+  fs.mkdirSync(root, { recursive: true });
+
+  for (const info of inspection.entries) {
+    if (prefix && !info.name.startsWith(prefix)) continue;
+    const relative = info.name.slice(prefix.length);
+    if (relative === '') continue;
+    const target = path.resolve(root, relative);
+    // Belt and braces: inspectZip already rejected names that could escape
+    if (!target.startsWith(root + path.sep)) {
+      throw new Error(`Refusing to write outside ${root}: ${info.name}`);
+    }
+    if (info.isDirectory) {
+      fs.mkdirSync(target, { recursive: true });
+      continue;
+    }
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    if (info.isSymlink) {
+      // After flattening the top-level folder is the root, so check the link again from there
+      if (!symlinkStaysInside(relative, info.linkTarget, links)) {
+        throw new Error(`Refusing to extract ${path.basename(zipPath)}: symlink points outside the game: ${info.name} -> ${info.linkTarget}`);
+      }
+      fs.rmSync(target, { force: true });
+      fs.symlinkSync(info.linkTarget, target);
+    } else {
+      const data = readEntry(byName.get(info.name), info.name, maxBytes - written);
+      written += data.length;
+      fs.writeFileSync(target, data);
+    }
+  }
+  return inspection;
+}
+
+/**
+ * Report for a rejected archive: a heading plus one line per problem (capped).
+ * @param {string} zipPath
+ * @param {string[]} problems
+ * @returns {string}
+ */
+export function formatZipProblems(zipPath, problems) {
+  const shown = problems.slice(0, 20).map((p) => `  - ${p}`);
+  if (problems.length > shown.length) shown.push(`  - ... and ${problems.length - shown.length} more`);
+  return [`Refusing to extract ${path.basename(zipPath)}:`, ...shown].join('\n');
+}
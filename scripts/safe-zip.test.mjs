@@ -0,0 +1,146 @@
+/**
+ * Tests in-process zip extraction and its zip-slip, symlink and size checks.
+ * Run: node --test scripts/safe-zip.test.mjs
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { test } from 'node:test';
+import assert from 'node:assert';
+import AdmZip from 'adm-zip';
+import { extractZipSafely, inspectZip } from './safe-zip.mjs';
+
+const SYMLINK_ATTR = (0o120777 << 16) >>> 0;
+
+/**
+ * Write a zip with the given entries. adm-zip cleans names on add, so unsafe names
+ * are set on the entry afterwards.
+ * @param {string} zipPath
+ * @param {{ name: string, data?: string, symlink?: boolean }[]} entries
+ */
+function writeZip(zipPath, entries) {
+  const zip = new AdmZip();
+  entries.forEach(({ name, data = '', symlink }, i) => {
+    const placeholder = `entry-${i}`;
+    zip.addFile(placeholder, Buffer.from(data));
+    const entry = zip.getEntry(placeholder);
+    entry.entryName = name;
+    if (symlink) entry.attr = SYMLINK_ATTR;
+  });
+  zip.writeZip(zipPath);
+}
+
+/**
+ * Change the uncompressed size an entry declares, in its local and central headers.
+ * @param {string} zipPath - A zip with a single entry
+ * @param {number} size
+ */
+function patchDeclaredSize(zipPath, size) {
+  const buf = fs.readFileSync(zipPath);
+  buf.writeUInt32LE(size, buf.indexOf(Buffer.from([0x50, 0x4b, 0x03, 0x04])) + 22);
+  buf.writeUInt32LE(size, buf.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02])) + 24);
+  fs.writeFileSync(zipPath, buf);
+}
+
+function withTmpDir(fn) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lofi-safe-zip-test-'));
+  try {
+    fn(tmpDir);
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+test('extracts a single-folder zip flattened into the destination', () => {
+  withTmpDir((tmpDir) => {
+    const zipPath = path.join(tmpDir, 'game.zip');
+    writeZip(zipPath, [
+      { name: 'my-game/index.html', data: '<html></html>' },
+      { name: 'my-game/js/main.js', data: 'start();' },
+    ]);
+    const dest = path.join(tmpDir, 'out');
+    extractZipSafely(zipPath, dest, { stripPrefix: 'my-game' });
+    assert.strictEqual(fs.readFileSync(path.join(dest, 'index.html'), 'utf-8'), '<html></html>');
+    assert.strictEqual(fs.readFileSync(path.join(dest, 'js', 'main.js'), 'utf-8'), 'start();');
+  });
+});
+
+test('rejects zip-slip paths and symlinks leading outside, writing nothing', () => {
+  withTmpDir((tmpDir) => {
+    const zipPath = path.join(tmpDir, 'evil.zip');
+    writeZip(zipPath, [
+      { name: 'index.html', data: '<html></html>' },
+      { name: '../escape.txt', data: 'x' },
+      { name: '/etc/cron.d/job', data: 'x' },
+      { name: 'assets/link', data: '../../outside', symlink: true },
+      { name: 'up', data: '.', symlink: true },
+      { name: 'up/nested', data: '..', symlink: true },
+    ]);
+    const { problems } = inspectZip(zipPath);
+    assert.strictEqual(problems.length, 4, problems.join('\n'));
+    assert.match(problems.join('\n'), /escapes the archive root: \.\.\/escape\.txt/);
+    assert.match(problems.join('\n'), /absolute path: \/etc\/cron\.d\/job/);
+    assert.match(problems.join('\n'), /symlink points outside the game: assets\/link -> \.\.\/\.\.\/outside/);
+    assert.match(problems.join('\n'), /below the symlink up: up\/nested/);
+
+    const dest = path.join(tmpDir, 'out');
+    assert.throws(() => extractZipSafely(zipPath, dest), /Refusing to extract evil\.zip/);
+    assert.ok(!fs.existsSync(dest), 'nothing should be written');
+    assert.ok(!fs.existsSync(path.join(tmpDir, 'escape.txt')));
+  });
+});
+
+test('rejects symlinks that escape through another symlink', () => {
+  withTmpDir((tmpDir) => {
+    const zipPath = path.join(tmpDir, 'chain.zip');
+    writeZip(zipPath, [
+      { name: 'index.html', data: '<html></html>' },
+      { name: 'a/l', data: '..', symlink: true },
+      // Normalizes to "a", but on disk a/l is the game folder, so this is its parent
+      { name: 'x', data: 'a/l/..', symlink: true },
+      // Pointing at a link (not through it) is fine
+      { name: 'y', data: 'a/l', symlink: true },
+    ]);
+    const { problems } = inspectZip(zipPath);
+    assert.deepStrictEqual(problems, ['symlink points outside the game: x -> a/l/..']);
+
+    const dest = path.join(tmpDir, 'out');
+    assert.throws(() => extractZipSafely(zipPath, dest), /Refusing to extract chain\.zip/);
+    assert.ok(!fs.existsSync(dest), 'nothing should be written');
+  });
+});
+
+test('rejects archives over the size or file-count limit', () => {
+  withTmpDir((tmpDir) => {
+    const zipPath = path.join(tmpDir, 'big.zip');
+    // Highly compressible: tiny on disk, 2 MB once inflated
+    writeZip(zipPath, [
+      { name: 'a.bin', data: '0'.repeat(1024 * 1024) },
+      { name: 'b.bin', data: '0'.repeat(1024 * 1024) },
+    ]);
+    assert.deepStrictEqual(inspectZip(zipPath).problems, []);
+    assert.match(inspectZip(zipPath, { maxBytes: 1024 * 1024 }).problems.join('\n'), /2\.0 MB is over the limit of 1\.0 MB/);
+    assert.match(inspectZip(zipPath, { maxFiles: 1 }).problems.join('\n'), /2 files is over the limit of 1/);
+  });
+});
+
+test('does not trust the sizes entries declare', () => {
+  withTmpDir((tmpDir) => {
+    const zipPath = path.join(tmpDir, 'bomb.zip');
+    const dest = path.join(tmpDir, 'out');
+    writeZip(zipPath, [{ name: 'bomb.bin', data: '0'.repeat(1024 * 1024) }]);
+
+    // Declares an empty file: passes any size limit, but has a payload
+    patchDeclaredSize(zipPath, 0);
+    assert.match(inspectZip(zipPath, { maxBytes: 1024 }).problems.join('\n'), /bomb\.bin inflates to more than the 0 bytes it declares/);
+    assert.throws(() => extractZipSafely(zipPath, dest, { limits: { maxBytes: 1024 } }), /Refusing to extract bomb\.zip/);
+    assert.ok(!fs.existsSync(path.join(dest, 'bomb.bin')), 'nothing should be written');
+
+    // Declares less than it holds: inflating stops one byte past the declared size
+    patchDeclaredSize(zipPath, 10);
+    assert.deepStrictEqual(inspectZip(zipPath, { maxBytes: 1024 }).problems, []);
+    assert.throws(() => extractZipSafely(zipPath, dest, { limits: { maxBytes: 1024 } }), /bomb\.bin inflates to more than the 10 bytes it declares/);
+    assert.ok(!fs.existsSync(path.join(dest, 'bomb.bin')), 'a truncated file should not be written');
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Tests the generated endpoints (feed.xml, sitemap.xml, robots.txt) with and
+ * without a site URL, and that game text is escaped in the XML.
+ * The pages are loaded through Vite, with a fixed catalog in place of games.yaml.
+ * Run: node --test scripts/site-endpoints.test.mjs
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'vite';
+import { escapeXml } from '../src/utils/xml.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.resolve(__dirname, '..');
+const SITE = new URL('https://games.example.com');
+
+const GAMES = {
+  games: [
+    {
+      id: 'tom-jerry',
+      name: 'Tom & Jerry <Deluxe>',
+      type: 'html',
+      description: 'Say "hi" & don\'t <stop>.',
+      thumbnail: '/images/games/tom-jerry/cover-640.jpg',
+      entryPoint: 'play/tom-jerry/1.0.0/index.html',
+      version: '1.0.0',
+      lastUpdated: '2026-10-01',
+      tags: ['r&d'],
+    },
+  ],
+};
+
+/** Replaces load-games.mjs (which reads and validates games.yaml) with GAMES. */
+function fixtureGames() {
+  const id = '\0fixture-games';
+  return {
+    name: 'fixture-games',
+    enforce: 'pre',
+    resolveId: (source) => (source.endsWith('/data/load-games.mjs') ? id : null),
+    load: (loaded) => (loaded === id ? `export const gamesData = ${JSON.stringify(GAMES)};` : null),
+  };
+}
+
+let server;
+
+before(async () => {
+  server = await createServer({
+    root: ROOT,
+    configFile: false,
+    logLevel: 'silent',
+    appType: 'custom',
+    server: { middlewareMode: true, hmr: false, watch: null },
+    optimizeDeps: { noDiscovery: true, include: [] },
+    plugins: [fixtureGames()],
+  });
+});
+
+after(() => server?.close());
+
+/**
+ * @param {string} page - File in src/pages
+ * @param {URL | undefined} site
+ * @returns {Promise<Response>}
+ */
+async function render(page, site) {
+  const { GET } = await server.ssrLoadModule(`/src/pages/${page}`);
+  return GET({ site });
+}
+
+test('escapeXml escapes markup and quotes', () => {
+  assert.strictEqual(escapeXml(`<a href="x">Tom & Jerry's</a>`), '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&apos;s&lt;/a&gt;');
+  assert.strictEqual(escapeXml(42), '42');
+});
+
+test('feed.xml links absolutely with a site URL and escapes game text', async () => {
+  const response = await render('feed.xml.ts', SITE);
+  assert.match(response.headers.get('Content-Type'), /^application\/atom\+xml/);
+  const body = await response.text();
+  assert.ok(body.includes('<link rel="self" type="application/atom+xml" href="https://games.example.com/feed.xml" />'));
+  assert.ok(body.includes('<link rel="alternate" type="text/html" href="https://games.example.com/games/tom-jerry/" />'));
+  assert.ok(body.includes('<title>Tom &amp; Jerry &lt;Deluxe&gt; 1.0.0 released</title>'));
+  assert.ok(body.includes('<summary>Say &quot;hi&quot; &amp; don&apos;t &lt;stop&gt;.</summary>'));
+  assert.ok(body.includes('<category term="r&amp;d" />'));
+  // The HTML content is escaped once more inside the XML
+  assert.ok(body.includes('&lt;img src=&quot;https://games.example.com/images/games/tom-jerry/cover-640.jpg&quot;'));
+  assert.ok(!body.includes('Tom & Jerry'), 'no raw ampersand in the feed');
+});
+
+test('feed.xml falls back to site paths without a site URL', async () => {
+  const body = await (await render('feed.xml.ts', undefined)).text();
+  assert.ok(body.includes('<id>/</id>'));
+  assert.ok(body.includes('href="/games/tom-jerry/"'));
+  assert.ok(!body.includes('https://'));
+});
+
+test('sitemap.xml lists the lobby and each game', async () => {
+  const withSite = await render('sitemap.xml.ts', SITE);
+  assert.match(withSite.headers.get('Content-Type'), /^application\/xml/);
+  const body = await withSite.text();
+  assert.ok(body.includes('<loc>https://games.example.com/</loc>'));
+  assert.ok(body.includes('<loc>https://games.example.com/games/tom-jerry/</loc>'));
+  assert.strictEqual(body.match(/<lastmod>2026-10-01<\/lastmod>/g).length, 2);
+
+  const withoutSite = await (await render('sitemap.xml.ts', undefined)).text();
+  assert.ok(withoutSite.includes('<loc>/games/tom-jerry/</loc>'));
+});
+
+test('robots.txt points at the sitemap only with a site URL', async () => {
+  const withSite = await (await render('robots.txt.ts', SITE)).text();
+  assert.strictEqual(withSite, 'User-agent: *\nDisallow: /play/\nDisallow: /downloads/\n\nSitemap: https://games.example.com/sitemap.xml\n');
+
+  const withoutSite = await (await render('robots.txt.ts', undefined)).text();
+  assert.strictEqual(withoutSite, 'User-agent: *\nDisallow: /play/\nDisallow: /downloads/\n');
+});
@@ -0,0 +1,120 @@
+/**
+ * staging.mjs
+ *
+ * All-or-nothing updates for add-game. A run writes everything it produces into
+ * a stage, .staging/add-game/<id>-<timestamp>/, and touches nothing live until
+ * the end. commitStage() then swaps the staged paths into place with renames
+ * (the live paths they replace are moved into the stage's backup/), runs the
+ * final step (writing games.yaml) and deletes the stage. If a rename or the
+ * final step fails, every rename done so far is undone in reverse order, so the
+ * previous version is left exactly as it was.
+ *
+ * The stage is inside the repository so renames stay on one filesystem, and it
+ * is outside play/ and public/ so it is never served or deployed.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+export const STAGING_DIR = path.join(ROOT_DIR, '.staging', 'add-game');
+
+/**
+ * @typedef {object} Stage
+ * @property {string} dir - The stage directory
+ * @property {string} backupDir - Where replaced live paths go during commitStage
+ * @property {string} root - The staging directory the stage is in
+ *
+ * @typedef {[from: string, to: string]} Move - A rename; skipped when `from` does not exist
+ */
+
+/**
+ * Create an empty stage for a run.
+ * @param {string} name - e.g. the game id
+ * @param {string} [stagingDir]
+ * @returns {Stage}
+ */
+export function createStage(name, stagingDir = STAGING_DIR) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const dir = path.join(stagingDir, `${name}-${stamp}`);
+  fs.mkdirSync(dir, { recursive: true });
+  return { dir, backupDir: path.join(dir, 'backup'), root: stagingDir };
+}
+
+/**
+ * Moves that put a staged path in place of a live one, keeping the live one in
+ * the backup under `key`. Nothing happens for a path that was not staged.
+ * @param {Stage} stage
+ * @param {string} staged
+ * @param {string} live
+ * @param {string} key - Unique name in the backup
+ * @returns {Move[]}
+ */
+export function swapMoves(stage, staged, live, key) {
+  if (!fs.existsSync(staged)) return [];
+  return [[live, path.join(stage.backupDir, key)], [staged, live]];
+}
+
+/**
+ * Apply the moves, then run finish(). On any error, undo the moves done so far
+ * and rethrow; on success, delete the stage.
+ * @param {Stage} stage
+ * @param {Move[]} moves
+ * @param {() => void} finish
+ */
+export function commitStage(stage, moves, finish) {
+  /** @type {Move[]} */
+  const done = [];
+  try {
+    for (const [from, to] of moves) {
+      if (!fs.existsSync(from)) continue;
+      if (fs.existsSync(to)) throw new Error(`Cannot move ${from} to ${to}: the destination exists`);
+      fs.mkdirSync(path.dirname(to), { recursive: true });
+      fs.renameSync(from, to);
+      done.push([from, to]);
+    }
+    finish();
+  } catch (err) {
+    try {
+      rollback(done);
+    } catch (rollbackErr) {
+      throw new Error(`${err.message}\n${rollbackErr.message}`);
+    }
+    throw err;
+  }
+  discardStage(stage);
+}
+
+/**
+ * Undo moves, most recent first. Keeps going past a failed undo so as much as
+ * possible is restored; the failures are rethrown together.
+ * @param {Move[]} done
+ */
+function rollback(done) {
+  const failed = [];
+  for (const [from, to] of [...done].reverse()) {
+    try {
+      fs.mkdirSync(path.dirname(from), { recursive: true });
+      fs.renameSync(to, from);
+    } catch (err) {
+      failed.push(`${to} -> ${from}: ${err.message}`);
+    }
+  }
+  if (failed.length > 0) throw new Error(`Rollback incomplete; restore by hand:\n  ${failed.join('\n  ')}`);
+}
+
+/**
+ * Delete a stage and, once empty, the staging directories in the repository.
+ * @param {Stage} stage
+ */
+export function discardStage(stage) {
+  fs.rmSync(stage.dir, { recursive: true, force: true });
+  for (let dir = stage.root; dir.startsWith(ROOT_DIR + path.sep); dir = path.dirname(dir)) {
+    if (!fs.existsSync(dir) || fs.readdirSync(dir).length > 0) break;
+    fs.rmdirSync(dir);
+  }
+}
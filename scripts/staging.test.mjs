@@ -0,0 +1,70 @@
+/**
+ * Tests swapping a stage into place and rolling it back (staging.mjs).
+ * Run: node --test scripts/staging.test.mjs
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { commitStage, createStage, swapMoves } from './staging.mjs';
+
+function withTmpDir(fn) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lofi-staging-test-'));
+  try {
+    fn(tmpDir);
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+function write(filePath, content) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+}
+
+test('a failed finish step puts every live path back', () => {
+  withTmpDir((tmpDir) => {
+    const live = path.join(tmpDir, 'play', 'game', '1.0.0');
+    const newLive = path.join(tmpDir, 'downloads', 'game');
+    write(path.join(live, 'index.html'), 'old');
+    const stage = createStage('game', path.join(tmpDir, 'staging'));
+    write(path.join(stage.dir, 'play', 'index.html'), 'new');
+    write(path.join(stage.dir, 'downloads', 'game-win.zip'), 'zip');
+    const moves = [
+      ...swapMoves(stage, path.join(stage.dir, 'play'), live, 'play'),
+      ...swapMoves(stage, path.join(stage.dir, 'downloads'), newLive, 'downloads'),
+      ...swapMoves(stage, path.join(stage.dir, 'images'), path.join(tmpDir, 'images'), 'images'),
+    ];
+    assert.strictEqual(moves.length, 4, 'nothing was staged for images');
+
+    assert.throws(() => commitStage(stage, moves, () => {
+      assert.strictEqual(fs.readFileSync(path.join(live, 'index.html'), 'utf-8'), 'new');
+      throw new Error('disk full');
+    }), /disk full/);
+    assert.strictEqual(fs.readFileSync(path.join(live, 'index.html'), 'utf-8'), 'old');
+    assert.ok(!fs.existsSync(newLive), 'a path that did not exist before should be gone again');
+    assert.ok(fs.existsSync(path.join(stage.dir, 'play', 'index.html')), 'the staged build should be back in the stage');
+
+    let finished = false;
+    commitStage(stage, moves, () => { finished = true; });
+    assert.ok(finished);
+    assert.strictEqual(fs.readFileSync(path.join(live, 'index.html'), 'utf-8'), 'new');
+    assert.ok(fs.existsSync(path.join(newLive, 'game-win.zip')));
+    assert.ok(!fs.existsSync(stage.dir), 'the stage should be deleted');
+  });
+});
+
+test('refuses to move over a path that exists', () => {
+  withTmpDir((tmpDir) => {
+    const stage = createStage('game', path.join(tmpDir, 'staging'));
+    write(path.join(tmpDir, 'a', 'file'), 'a');
+    write(path.join(tmpDir, 'b', 'file'), 'b');
+    write(path.join(tmpDir, 'c', 'file'), 'c');
+    const moves = [[path.join(tmpDir, 'a'), path.join(tmpDir, 'moved')], [path.join(tmpDir, 'b'), path.join(tmpDir, 'c')]];
+    assert.throws(() => commitStage(stage, moves, () => {}), /destination exists/);
+    assert.ok(fs.existsSync(path.join(tmpDir, 'a', 'file')), 'the first move should be undone');
+    assert.strictEqual(fs.readFileSync(path.join(tmpDir, 'c', 'file'), 'utf-8'), 'c');
+  });
+});
@@ -0,0 +1,317 @@
+/**
+ * static-files.mjs
+ *
+ * Static file handler behind the dev server's /play/ and /downloads/ mounts
+ * (astro.config.mjs). It covers what game engines and media players expect from a
+ * real web server: MIME types for WebAssembly, audio, video and engine data files,
+ * ETag / Last-Modified with 304 responses, single byte ranges (206) for seeking,
+ * precompressed .br / .gz siblings when the client accepts them, and a 404 page
+ * naming the game id and path instead of falling through to Astro.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/** Content types by lowercase extension; anything else is application/octet-stream. */
+export const MIME_TYPES = {
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.js': 'application/javascript',
+  '.mjs': 'application/javascript',
+  '.css': 'text/css',
+  '.json': 'application/json',
+  '.map': 'application/json',
+  '.webmanifest': 'application/manifest+json',
+  '.xml': 'application/xml',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv',
+  '.md': 'text/markdown',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.bmp': 'image/bmp',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.eot': 'application/vnd.ms-fontobject',
+  '.wasm': 'application/wasm',
+  '.mp3': 'audio/mpeg',
+  '.ogg': 'audio/ogg',
+  '.oga': 'audio/ogg',
+  '.opus': 'audio/ogg',
+  '.wav': 'audio/wav',
+  '.m4a': 'audio/mp4',
+  '.aac': 'audio/aac',
+  '.flac': 'audio/flac',
+  '.mid': 'audio/midi',
+  '.midi': 'audio/midi',
+  '.mp4': 'video/mp4',
+  '.m4v': 'video/mp4',
+  '.webm': 'video/webm',
+  '.ogv': 'video/ogg',
+  '.mov': 'video/quicktime',
+  '.data': 'application/octet-stream',
+  '.pck': 'application/octet-stream',
+  '.unityweb': 'application/octet-stream',
+  '.zip': 'application/zip',
+  '.pdf': 'application/pdf',
+};
+
+const TEXT_TYPE = /^(text\/|application\/(javascript|json|xml|manifest\+json)$|image\/svg\+xml$)/;
+
+// Precompressed siblings, in order of preference
+const ENCODINGS = [
+  { name: 'br', ext: '.br' },
+  { name: 'gzip', ext: '.gz' },
+];
+
+/**
+ * Content-Type header for a file, with a charset for text types.
+ * @param {string} filePath
+ * @returns {string}
+ */
+export function contentTypeFor(filePath) {
+  const type = MIME_TYPES[path.extname(filePath).toLowerCase()] ?? 'application/octet-stream';
+  return TEXT_TYPE.test(type) ? `${type}; charset=utf-8` : type;
+}
+
+/**
+ * Parse a Range header against a file size. Only single ranges are served; a
+ * missing, malformed or multi-part header means "send the whole file".
+ * @param {string | undefined} header - e.g. "bytes=0-1023", "bytes=500-", "bytes=-500"
+ * @param {number} size
+ * @returns {{ start: number, end: number } | 'unsatisfiable' | null}
+ */
+export function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header ?? '').trim());
+  if (!match || (!match[1] && !match[2])) return null;
+  if (!match[1]) {
+    const suffix = Number(match[2]);
+    return suffix === 0 || size === 0 ? 'unsatisfiable' : { start: Math.max(size - suffix, 0), end: size - 1 };
+  }
+  const start = Number(match[1]);
+  if (match[2] && Number(match[2]) < start) return null;
+  if (start >= size) return 'unsatisfiable';
+  return { start, end: match[2] ? Math.min(Number(match[2]), size - 1) : size - 1 };
+}
+
+/**
+ * Content codings the client accepts (q=0 means refused).
+ * @param {string | undefined} header - Accept-Encoding
+ * @returns {Set<string>}
+ */
+function acceptedEncodings(header) {
+  const accepted = new Set();
+  for (const part of String(header ?? '').split(',')) {
+    const [name, ...params] = part.split(';').map((s) => s.trim().toLowerCase());
+    if (name && !params.some((p) => /^q=0(\.0*)?$/.test(p))) accepted.add(name);
+  }
+  return accepted;
+}
+
+async function statFile(filePath) {
+  try {
+    const stat = await fs.promises.stat(filePath);
+    return stat.isFile() ? stat : null;
+  } catch {
+    return null;
+  }
+}
+
+function etagFor(stat, encoding) {
+  return `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}${encoding ? `-${encoding}` : ''}"`;
+}
+
+/**
+ * Whether a conditional GET can be answered with 304.
+ * @param {import('http').IncomingMessage} req
+ * @param {string} etag
+ * @param {Date} mtime
+ */
+function isNotModified(req, etag, mtime) {
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch) {
+    return ifNoneMatch.split(',').some((tag) => {
+      const t = tag.trim();
+      return t === '*' || t.replace(/^W\//, '') === etag;
+    });
+  }
+  const since = Date.parse(req.headers['if-modified-since'] ?? '');
+  return !Number.isNaN(since) && Math.floor(mtime.getTime() / 1000) <= Math.floor(since / 1000);
+}
+
+/**
+ * If-Range: honour the Range header only while the file is unchanged.
+ * @param {import('http').IncomingMessage} req
+ * @param {string} etag
+ * @param {Date} mtime
+ */
+function ifRangeMatches(req, etag, mtime) {
+  const ifRange = req.headers['if-range'];
+  if (!ifRange) return true;
+  if (ifRange.startsWith('"') || ifRange.startsWith('W/')) return ifRange === etag;
+  return Date.parse(ifRange) === Math.floor(mtime.getTime() / 1000) * 1000;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[<>&"']/g, (c) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+/**
+ * 404 page naming the game (first path segment) and the path inside it.
+ * @param {import('http').ServerResponse} res
+ * @param {{ root: string, mountName: string, relPath: string, head: boolean }} details
+ */
+function sendNotFound(res, { root, mountName, relPath, head }) {
+  const [gameId = '', ...rest] = relPath.split('/');
+  const inside = rest.join('/');
+  const gameExists = gameId && fs.existsSync(path.join(root, gameId));
+  const hint = !gameId
+    ? `<p>Request a file under <code>/${mountName}/&lt;game-id&gt;/</code>.</p>`
+    : gameExists
+      ? `<p>The game exists, but <code>${escapeHtml(inside || 'index.html')}</code> is not in <code>${mountName}/${escapeHtml(gameId)}/</code>. Check the entry point and the version folder.</p>`
+      : `<p><code>${mountName}/${escapeHtml(gameId)}/</code> does not exist. Add the game with <code>npm run add-game -- ${escapeHtml(gameId)} &lt;zip-or-dir&gt;</code>.</p>`;
+  const body = `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><title>404 · /${mountName}/${escapeHtml(relPath)}</title></head>
+<body style="font-family: system-ui, sans-serif; max-width: 40rem; margin: 3rem auto; line-height: 1.5">
+  <h1>404 Not Found</h1>
+  <p>Game: <code>${escapeHtml(gameId || '(none)')}</code><br>Path: <code>${escapeHtml(inside || '/')}</code></p>
+  ${hint}
+</body>
+</html>
+`;
+  res.statusCode = 404;
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.setHeader('Content-Length', Buffer.byteLength(body));
+  res.setHeader('Cache-Control', 'no-store');
+  res.end(head ? undefined : body);
+}
+
+/**
+ * Send one file, handling conditional requests, ranges and precompressed siblings.
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ * @param {string} filePath
+ * @param {import('fs').Stats} stat
+ * @param {Record<string, string>} extraHeaders
+ */
+async function sendFile(req, res, filePath, stat, extraHeaders) {
+  const head = req.method === 'HEAD';
+  let servedPath = filePath;
+  let servedStat = stat;
+  let encoding = null;
+  let hasVariants = false;
+
+  const accepted = acceptedEncodings(req.headers['accept-encoding']);
+  for (const { name, ext } of ENCODINGS) {
+    const variantStat = await statFile(filePath + ext);
+    if (!variantStat) continue;
+    hasVariants = true;
+    // Ranges apply to the bytes on disk, so keep range requests on the identity file
+    if (!encoding && !req.headers.range && accepted.has(name)) {
+      encoding = name;
+      servedPath = filePath + ext;
+      servedStat = variantStat;
+    }
+  }
+
+  const etag = etagFor(servedStat, encoding);
+  res.setHeader('Content-Type', contentTypeFor(filePath));
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('ETag', etag);
+  res.setHeader('Last-Modified', servedStat.mtime.toUTCString());
+  if (hasVariants) res.setHeader('Vary', 'Accept-Encoding');
+  for (const [name, value] of Object.entries(extraHeaders)) res.setHeader(name, value);
+  if (encoding) res.setHeader('Content-Encoding', encoding);
+
+  if (isNotModified(req, etag, servedStat.mtime)) {
+    res.statusCode = 304;
+    res.removeHeader('Content-Type');
+    return res.end();
+  }
+
+  const size = servedStat.size;
+  const range = ifRangeMatches(req, etag, servedStat.mtime) ? parseRange(req.headers.range, size) : null;
+  if (range === 'unsatisfiable') {
+    res.statusCode = 416;
+    res.setHeader('Content-Range', `bytes */${size}`);
+    return res.end();
+  }
+  const { start, end } = range ?? { start: 0, end: size - 1 };
+  res.statusCode = range ? 206 : 200;
+  if (range) res.setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
+  res.setHeader('Content-Length', Math.max(end - start + 1, 0));
+  if (head || size === 0) return res.end();
+
+  fs.createReadStream(servedPath, { start, end })
+    .on('error', () => res.destroy())
+    .pipe(res);
+}
+
+/**
+ * Connect-style middleware serving rootDir, for a mount such as
+ * `server.middlewares.use('/play', handler)` (req.url is relative to the mount).
+ * Directories serve their index.html; a directory URL without a trailing slash is
+ * redirected so relative asset paths resolve. Other methods than GET/HEAD are
+ * passed on.
+ * @param {object} options
+ * @param {string} options.rootDir
+ * @param {string} options.mountName - URL segment of the mount, e.g. "play"
+ * @param {(relPath: string) => Record<string, string>} [options.headersFor] - Extra
+ *   headers by path relative to rootDir (e.g. a game's header profile)
+ * @returns {(req: import('http').IncomingMessage, res: import('http').ServerResponse, next: (err?: unknown) => void) => void}
+ */
+export function createStaticHandler({ rootDir, mountName, headersFor = () => ({}) }) {
+  const root = path.resolve(rootDir);
+
+  return (req, res, next) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+    const head = req.method === 'HEAD';
+    const [urlPath, query = ''] = (req.url || '/').split('?');
+
+    (async () => {
+      let relPath;
+      try {
+        relPath = decodeURIComponent(urlPath).replace(/^\/+/, '');
+      } catch {
+        res.statusCode = 400;
+        return res.end('Bad request: malformed URL');
+      }
+      const filePath = path.resolve(root, relPath);
+      if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+        return sendNotFound(res, { root, mountName, relPath, head });
+      }
+
+      let stat = null;
+      try {
+        stat = await fs.promises.stat(filePath);
+      } catch {
+        // Not found: fall through to the 404 page
+      }
+      if (stat?.isDirectory()) {
+        if (!urlPath.endsWith('/')) {
+          const base = (req.originalUrl ?? `/${mountName}${urlPath}`).split('?')[0];
+          res.statusCode = 301;
+          res.setHeader('Location', `${base}/${query ? `?${query}` : ''}`);
+          return res.end();
+        }
+        const indexPath = path.join(filePath, 'index.html');
+        const indexStat = await statFile(indexPath);
+        if (indexStat) {
+          return sendFile(req, res, indexPath, indexStat, headersFor(path.posix.join(relPath, 'index.html')));
+        }
+        return sendNotFound(res, { root, mountName, relPath: path.posix.join(relPath, 'index.html'), head });
+      }
+      if (!stat?.isFile()) return sendNotFound(res, { root, mountName, relPath, head });
+      return sendFile(req, res, filePath, stat, headersFor(relPath));
+    })().catch(next);
+  };
+}
@@ -0,0 +1,114 @@
+/**
+ * Tests the dev server's static handler for /play/: MIME types, conditional
+ * requests, byte ranges, precompressed siblings and the 404 page.
+ * Run: node --test scripts/static-files.test.mjs
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import zlib from 'zlib';
+import { test, after, before } from 'node:test';
+import assert from 'node:assert';
+import { createStaticHandler, parseRange } from './static-files.mjs';
+
+let tmpDir;
+let server;
+let baseUrl;
+
+before(async () => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lofi-static-files-test-'));
+  const gameDir = path.join(tmpDir, 'my-game', '1.0.0');
+  fs.mkdirSync(path.join(gameDir, 'audio'), { recursive: true });
+  fs.writeFileSync(path.join(gameDir, 'index.html'), '<html></html>');
+  fs.writeFileSync(path.join(gameDir, 'game.wasm'), Buffer.alloc(64));
+  fs.writeFileSync(path.join(gameDir, 'audio', 'theme.ogg'), Buffer.from('0123456789'));
+  fs.writeFileSync(path.join(gameDir, 'main.js'), 'start();'.repeat(100));
+  fs.writeFileSync(path.join(gameDir, 'main.js.gz'), zlib.gzipSync('start();'.repeat(100)));
+
+  const handler = createStaticHandler({ rootDir: tmpDir, mountName: 'play', headersFor: () => ({ 'X-Profile': 'test' }) });
+  server = http.createServer((req, res) => handler(req, res, () => {
+    res.statusCode = 500;
+    res.end('fell through');
+  }));
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server?.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('parses single byte ranges', () => {
+  assert.deepStrictEqual(parseRange('bytes=0-3', 10), { start: 0, end: 3 });
+  assert.deepStrictEqual(parseRange('bytes=5-', 10), { start: 5, end: 9 });
+  assert.deepStrictEqual(parseRange('bytes=-4', 10), { start: 6, end: 9 });
+  assert.deepStrictEqual(parseRange('bytes=8-100', 10), { start: 8, end: 9 });
+  assert.strictEqual(parseRange('bytes=10-', 10), 'unsatisfiable');
+  assert.strictEqual(parseRange('bytes=0-1,4-5', 10), null);
+  assert.strictEqual(parseRange(undefined, 10), null);
+});
+
+test('serves types, ranges and 304s, and the extra headers', async () => {
+  const wasm = await fetch(`${baseUrl}/my-game/1.0.0/game.wasm`);
+  assert.strictEqual(wasm.status, 200);
+  assert.strictEqual(wasm.headers.get('content-type'), 'application/wasm');
+  assert.strictEqual(wasm.headers.get('x-profile'), 'test');
+  assert.strictEqual((await wasm.arrayBuffer()).byteLength, 64);
+
+  const part = await fetch(`${baseUrl}/my-game/1.0.0/audio/theme.ogg`, { headers: { Range: 'bytes=2-5' } });
+  assert.strictEqual(part.status, 206);
+  assert.strictEqual(part.headers.get('content-type'), 'audio/ogg');
+  assert.strictEqual(part.headers.get('content-range'), 'bytes 2-5/10');
+  assert.strictEqual(await part.text(), '2345');
+
+  const outside = await fetch(`${baseUrl}/my-game/1.0.0/audio/theme.ogg`, { headers: { Range: 'bytes=20-' } });
+  assert.strictEqual(outside.status, 416);
+  assert.strictEqual(outside.headers.get('content-range'), 'bytes */10');
+
+  const etag = wasm.headers.get('etag');
+  const cached = await fetch(`${baseUrl}/my-game/1.0.0/game.wasm`, { headers: { 'If-None-Match': etag } });
+  assert.strictEqual(cached.status, 304);
+
+  const dir = await fetch(`${baseUrl}/my-game/1.0.0`, { redirect: 'manual' });
+  assert.strictEqual(dir.status, 301);
+  assert.strictEqual(dir.headers.get('location'), '/play/my-game/1.0.0/');
+  const index = await fetch(`${baseUrl}/my-game/1.0.0/`);
+  assert.strictEqual(index.headers.get('content-type'), 'text/html; charset=utf-8');
+});
+
+test('serves precompressed siblings only to clients that accept them', async () => {
+  const gz = await new Promise((resolve, reject) => {
+    http.get(`${baseUrl}/my-game/1.0.0/main.js`, { headers: { 'Accept-Encoding': 'br;q=0, gzip' } }, (res) => {
+      const chunks = [];
+      res.on('data', (c) => chunks.push(c));
+      res.on('end', () => resolve({ headers: res.headers, body: Buffer.concat(chunks) }));
+    }).on('error', reject);
+  });
+  assert.strictEqual(gz.headers['content-encoding'], 'gzip');
+  assert.strictEqual(gz.headers['content-type'], 'application/javascript; charset=utf-8');
+  assert.strictEqual(gz.headers.vary, 'Accept-Encoding');
+  assert.strictEqual(zlib.gunzipSync(gz.body).toString(), 'start();'.repeat(100));
+
+  const plain = await fetch(`${baseUrl}/my-game/1.0.0/main.js`, { headers: { 'Accept-Encoding': 'identity' } });
+  assert.strictEqual(plain.headers.get('content-encoding'), null);
+  assert.strictEqual(await plain.text(), 'start();'.repeat(100));
+});
+
+test('returns a 404 page naming the game and path', async () => {
+  const missingFile = await fetch(`${baseUrl}/my-game/1.0.0/nope.png`);
+  assert.strictEqual(missingFile.status, 404);
+  const page = await missingFile.text();
+  assert.match(page, /Game: <code>my-game<\/code>/);
+  assert.match(page, /Path: <code>1\.0\.0\/nope\.png<\/code>/);
+  assert.match(page, /The game exists/);
+
+  const missingGame = await fetch(`${baseUrl}/other-game/index.html`);
+  assert.strictEqual(missingGame.status, 404);
+  assert.match(await missingGame.text(), /play\/other-game\/<\/code> does not exist/);
+
+  const traversal = await fetch(`${baseUrl}/..%2f..%2fetc/passwd`);
+  assert.strictEqual(traversal.status, 404);
+});
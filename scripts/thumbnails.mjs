@@ -0,0 +1,113 @@
+/**
+ * thumbnails.mjs
+ *
+ * Turns a game's chosen image into the cover set used by the cards: a 16:9 crop
+ * at several widths, each as JPEG and WebP, in public/images/games/<id>/
+ * (cover-<width>.jpg / cover-<width>.webp). When a game has no image, a
+ * placeholder SVG with its name in the colour of its type is written instead.
+ * Used by add-game.mjs.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import { MEDIA_DIR_NAME } from './media.mjs';
+import { escapeXml } from '../src/utils/xml.mjs';
+
+export const COVER_WIDTHS = [320, 640, 1280];
+
+// Same colours as the type badges in GameCard.astro
+const TYPE_COLORS = {
+  'html': '#f39c12',
+  'renpy': '#9b59b6',
+  'rpgmaker': '#3498db',
+  'download-only': '#7f8c8d',
+};
+const TYPE_LABELS = {
+  'html': 'HTML',
+  'renpy': "Ren'Py",
+  'rpgmaker': 'RPG Maker',
+  'download-only': 'Download',
+};
+
+/**
+ * @typedef {object} CoverResult
+ * @property {string} thumbnail - Site path for games.yaml (largest JPEG, or the SVG placeholder)
+ * @property {number[]} [thumbnailWidths] - Widths written as cover-<width>.jpg/.webp (absent for placeholders)
+ */
+
+/**
+ * Empty (or create) the game's cover directory, keeping the gallery in media/
+ * (see media.mjs), and remove a thumbnail written by older versions of add-game
+ * (public/images/games/<id>.<ext>).
+ * @param {string} thumbnailsDir - public/images/games
+ * @param {string} gameId
+ * @returns {string} The cover directory
+ */
+function resetCoverDir(thumbnailsDir, gameId) {
+  const coverDir = path.join(thumbnailsDir, gameId);
+  fs.mkdirSync(coverDir, { recursive: true });
+  for (const name of fs.readdirSync(coverDir)) {
+    if (name !== MEDIA_DIR_NAME) fs.rmSync(path.join(coverDir, name), { recursive: true, force: true });
+  }
+  for (const ext of ['.png', '.jpg', '.jpeg', '.webp', '.gif']) {
+    fs.rmSync(path.join(thumbnailsDir, `${gameId}${ext}`), { force: true });
+  }
+  return coverDir;
+}
+
+/**
+ * Crop an image to 16:9 and write it at each cover width as JPEG and WebP.
+ * Widths larger than the source are skipped (the smallest is always written).
+ * @param {string} sourcePath - Any image sharp can read
+ * @param {string} thumbnailsDir - public/images/games
+ * @param {string} gameId
+ * @returns {Promise<CoverResult>}
+ * @throws {Error} When the image cannot be decoded
+ */
+export async function writeCoverImages(sourcePath, thumbnailsDir, gameId) {
+  const input = fs.readFileSync(sourcePath);
+  const { width: sourceWidth = 0 } = await sharp(input).metadata();
+  const widths = COVER_WIDTHS.filter((w, i) => i === 0 || w <= sourceWidth);
+
+  const coverDir = resetCoverDir(thumbnailsDir, gameId);
+  for (const width of widths) {
+    const resized = sharp(input)
+      .resize({ width, height: Math.round((width * 9) / 16), fit: 'cover', position: 'attention' })
+      .flatten({ background: '#16213e' });
+    await resized.clone().jpeg({ quality: 82, mozjpeg: true }).toFile(path.join(coverDir, `cover-${width}.jpg`));
+    await resized.clone().webp({ quality: 80 }).toFile(path.join(coverDir, `cover-${width}.webp`));
+  }
+  return {
+    thumbnail: `/images/games/${gameId}/cover-${widths[widths.length - 1]}.jpg`,
+    thumbnailWidths: widths,
+  };
+}
+
+/**
+ * Write a 16:9 SVG placeholder showing the game's name and type.
+ * @param {string} thumbnailsDir - public/images/games
+ * @param {{ id: string, name: string, type: string }} game
+ * @returns {CoverResult}
+ */
+export function writePlaceholderCover(thumbnailsDir, game) {
+  const color = TYPE_COLORS[game.type] ?? TYPE_COLORS['download-only'];
+  const label = TYPE_LABELS[game.type] ?? game.type;
+  // Rough fit: shrink long names so they stay on one line
+  const fontSize = Math.max(40, Math.min(96, Math.floor(1800 / Math.max(String(game.name).length, 1))));
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="1280" height="720" viewBox="0 0 1280 720">
+  <defs>
+    <linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0" stop-color="#16213e"/>
+      <stop offset="1" stop-color="${color}"/>
+    </linearGradient>
+  </defs>
+  <rect width="1280" height="720" fill="url(#bg)"/>
+  <text x="640" y="360" text-anchor="middle" dominant-baseline="middle" fill="#ffffff" font-family="system-ui, sans-serif" font-size="${fontSize}" font-weight="700">${escapeXml(game.name)}</text>
+  <text x="640" y="${360 + fontSize}" text-anchor="middle" dominant-baseline="middle" fill="#ffffff" fill-opacity="0.7" font-family="system-ui, sans-serif" font-size="36">${escapeXml(label)}</text>
+</svg>
+`;
+  const coverDir = resetCoverDir(thumbnailsDir, game.id);
+  fs.writeFileSync(path.join(coverDir, 'cover.svg'), svg);
+  return { thumbnail: `/images/games/${game.id}/cover.svg` };
+}
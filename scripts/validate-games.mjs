@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+
+/**
+ * validate-games.mjs
+ *
+ * Checks src/data/games.yaml against the shared schema (src/data/game-schema.mjs):
+ * required fields and types, known game types, duplicate ids, and that each
+ * game's entry point (play/<id>/...), thumbnail (public/...) and downloads
+ * (downloads/<id>/...) exist on disk. The same checks run during `npm run build`.
+ *
+ * Usage:
+ *   npm run validate-games
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateGamesData, formatValidationErrors } from '../src/data/game-schema.mjs';
+import { METADATA_FILE, readMetadata } from './games-metadata.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+const colors = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m',
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function error(message) {
+  console.error(`${colors.red}Error: ${message}${colors.reset}`);
+  process.exit(1);
+}
+
+function main() {
+  if (!fs.existsSync(METADATA_FILE)) {
+    log(`${path.relative(ROOT_DIR, METADATA_FILE)} not found; nothing to validate.`, 'yellow');
+    return;
+  }
+
+  let data;
+  try {
+    data = readMetadata();
+  } catch (err) {
+    error(`Failed to parse ${path.relative(ROOT_DIR, METADATA_FILE)}: ${err.message}`);
+  }
+
+  const errors = validateGamesData(data, { rootDir: ROOT_DIR });
+  if (errors.length > 0) {
+    const badGames = new Set(errors.map((e) => e.gameId)).size;
+    console.error(`${colors.red}${path.relative(ROOT_DIR, METADATA_FILE)} has ${errors.length} problem(s) in ${badGames} game(s):${colors.reset}`);
+    console.error(formatValidationErrors(errors));
+    process.exit(1);
+  }
+
+  const count = data.games.length;
+  log(`${path.relative(ROOT_DIR, METADATA_FILE)} is valid (${count} game${count === 1 ? '' : 's'}).`, 'green');
+}
+
+main();
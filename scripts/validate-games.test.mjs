@@ -0,0 +1,83 @@
+/**
+ * Tests the games.yaml schema shared by validate-games and the Astro build.
+ * Run: node --test scripts/validate-games.test.mjs
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { validateGamesData } from '../src/data/game-schema.mjs';
+
+function validGame(overrides = {}) {
+  return {
+    id: 'my-game',
+    name: 'My Game',
+    type: 'html',
+    version: '1.0.0',
+    description: 'A game.',
+    thumbnail: '/images/games/my-game.png',
+    playable: true,
+    lastUpdated: '2026-02-01',
+    entryPoint: 'index.html',
+    versions: [{ version: '1.0.0', entryPoint: 'index.html', date: '2026-02-01' }],
+    ...overrides,
+  };
+}
+
+function messages(data, options) {
+  return validateGamesData(data, options).map((e) => `${e.gameId}: ${e.message}`);
+}
+
+test('accepts a valid catalog', () => {
+  assert.deepStrictEqual(messages({ games: [validGame()] }), []);
+  assert.deepStrictEqual(messages({ games: [] }), []);
+});
+
+test('reports hand-edit typos per game', () => {
+  const errors = messages({
+    games: [
+      validGame({ type: 'renpi' }),
+      validGame({ id: 'other', version: 1.5, versions: undefined }),
+      validGame({ id: 'my-game', name: 'Duplicate' }),
+      validGame({ id: 'no-entry', entryPoint: undefined, versions: undefined, entrypoint: 'index.html' }),
+    ],
+  });
+  assert.ok(errors.some((e) => e.startsWith('my-game: "type" is "renpi"')), errors.join('\n'));
+  assert.ok(errors.some((e) => e.startsWith('other: "version" is the number 1.5')), errors.join('\n'));
+  assert.ok(errors.some((e) => e.startsWith('my-game (games[2]): duplicate id')), errors.join('\n'));
+  assert.ok(errors.includes('no-entry: unknown field "entrypoint"'), errors.join('\n'));
+  assert.ok(errors.includes('no-entry: "entryPoint" is required for playable games'), errors.join('\n'));
+});
+
+test('checks the player settings', () => {
+  const ok = ['fill', '4:3', '1280x720'].map((display, i) => validGame({ id: `g${i}`, display, launchMode: 'embed' }));
+  assert.deepStrictEqual(messages({ games: ok }), []);
+  const errors = messages({ games: [validGame({ display: '16/9', launchMode: 'iframe' })] });
+  assert.ok(errors.some((e) => e.startsWith('my-game: "display" is "16/9"')), errors.join('\n'));
+  assert.ok(errors.some((e) => e.startsWith('my-game: "launchMode" is "iframe"')), errors.join('\n'));
+});
+
+test('rejects a file without a games list', () => {
+  assert.deepStrictEqual(messages({ game: [] }), ['null: games.yaml must contain a top-level "games" list']);
+});
+
+test('checks entry point and thumbnail on disk when rootDir is given', () => {
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lofi-validate-test-'));
+  try {
+    const data = { games: [validGame()] };
+    assert.deepStrictEqual(messages(data, { rootDir }), [
+      `my-game: entry point not found: ${path.join('play', 'my-game', '1.0.0', 'index.html')}`,
+      `my-game: thumbnail not found: ${path.join('public', 'images', 'games', 'my-game.png')}`,
+    ]);
+
+    fs.mkdirSync(path.join(rootDir, 'play', 'my-game', '1.0.0'), { recursive: true });
+    fs.writeFileSync(path.join(rootDir, 'play', 'my-game', '1.0.0', 'index.html'), '<html></html>');
+    fs.mkdirSync(path.join(rootDir, 'public', 'images', 'games'), { recursive: true });
+    fs.writeFileSync(path.join(rootDir, 'public', 'images', 'games', 'my-game.png'), '');
+    assert.deepStrictEqual(messages(data, { rootDir }), []);
+  } finally {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+});
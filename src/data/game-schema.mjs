@@ -0,0 +1,323 @@
+/**
+ * Schema for games.yaml, shared by the Astro pages (via load-games.mjs) and the
+ * scripts (validate-games.mjs). Validation collects every problem instead of
+ * stopping at the first, so a build or `npm run validate-games` can report all
+ * broken games at once.
+ */
+import fs from 'fs';
+import path from 'path';
+import { HEADER_PROFILE_NAMES } from './header-profiles.mjs';
+
+export const GAME_TYPES = ['html', 'renpy', 'rpgmaker', 'download-only'];
+export const LAUNCH_MODES = ['embed', 'direct'];
+/** Ren'Py release number, as in vendor/renpy/renpy-<version>/ (e.g. 8.5.2) */
+export const RENPY_VERSION_PATTERN = /^\d+(?:\.\d+){1,3}$/;
+
+/**
+ * @typedef {'html' | 'renpy' | 'rpgmaker' | 'download-only'} GameType
+ *
+ * @typedef {object} Download
+ * @property {string} platform - e.g. windows, mac, linux
+ * @property {string} file - File name in downloads/<id>/
+ * @property {number} size - Size in bytes
+ * @property {string} sha256 - Hex SHA-256 of the file
+ *
+ * @typedef {object} MediaItem
+ * @property {'image' | 'video'} type - Screenshot or animated GIF, or a trailer video
+ * @property {string} src - Site path of the file
+ * @property {string} [preview] - Site path of the small still shown in the gallery strip
+ * @property {string} [poster] - Site path of a video's poster image
+ * @property {number} [width]
+ * @property {number} [height]
+ * @property {string} [alt] - Description for screen readers
+ *
+ * @typedef {object} GameVersion
+ * @property {string} version
+ * @property {string} entryPoint
+ * @property {string} date - ISO date the version was installed
+ * @property {string} [changelog] - Markdown notes for the version, shown under "What's new"
+ *
+ * @typedef {object} Game
+ * @property {string} id
+ * @property {string} name
+ * @property {GameType} type
+ * @property {string} version
+ * @property {string} description
+ * @property {string} thumbnail - Site path of the cover (largest JPEG, or a placeholder SVG)
+ * @property {number[]} [thumbnailWidths] - Widths of the cover-<width>.jpg/.webp files next to thumbnail
+ * @property {boolean} playable
+ * @property {string} lastUpdated
+ * @property {string} [entryPoint]
+ * @property {string[]} [tags] - Lowercase labels, e.g. puzzle, jam
+ * @property {string} [headers] - HTTP header profile for play/<id>/ (see header-profiles.mjs)
+ * @property {string} [renpyVersion] - Ren'Py SDK the game is built with (vendor/renpy/renpy-<version>/)
+ * @property {'embed' | 'direct'} [launchMode] - Open the player page (embed) or the
+ *   entry HTML itself (direct); see src/utils/play.ts for the default
+ * @property {string} [display] - Player frame size: "fill", an aspect ratio ("16:9")
+ *   or a fixed resolution ("1280x720")
+ * @property {MediaItem[]} [media] - Gallery on the detail page, in display order
+ * @property {Download[]} [downloads]
+ * @property {GameVersion[]} [versions]
+ *
+ * @typedef {object} GamesData
+ * @property {Game[]} games
+ *
+ * @typedef {object} ValidationError
+ * @property {string | null} gameId - Game the error belongs to (null for file-level errors)
+ * @property {string} message
+ */
+
+const GAME_FIELDS = new Set([
+  'id', 'name', 'type', 'version', 'description', 'thumbnail', 'thumbnailWidths', 'playable',
+  'lastUpdated', 'entryPoint', 'tags', 'headers', 'renpyVersion', 'launchMode', 'display', 'media', 'downloads', 'versions',
+]);
+const ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const SHA256_PATTERN = /^[0-9a-f]{64}$/;
+const MEDIA_TYPES = ['image', 'video'];
+const DISPLAY_PATTERN = /^(fill|[1-9]\d*:[1-9]\d*|[1-9]\d*x[1-9]\d*)$/;
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+function describe(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'a list';
+  return typeof value === 'string' ? `"${value}"` : `${typeof value} ${JSON.stringify(value)}`;
+}
+
+/**
+ * A plain file name: no directories, so it cannot point outside play/ or downloads/.
+ */
+function isPlainFileName(value) {
+  return isNonEmptyString(value) && !/[\\/]/.test(value) && value !== '.' && value !== '..';
+}
+
+/**
+ * Check one game entry. Errors are pushed as plain messages; the caller adds the game id.
+ * @param {any} game
+ * @param {string[]} problems
+ */
+function validateGame(game, problems) {
+  for (const key of Object.keys(game)) {
+    if (!GAME_FIELDS.has(key)) problems.push(`unknown field "${key}"`);
+  }
+
+  if (!isNonEmptyString(game.id)) {
+    problems.push('"id" is required');
+  } else if (!ID_PATTERN.test(game.id)) {
+    problems.push(`"id" ${describe(game.id)} must be a URL slug (letters, digits, ".", "_", "-")`);
+  }
+  if (!isNonEmptyString(game.name)) problems.push('"name" is required');
+  if (!GAME_TYPES.includes(game.type)) {
+    problems.push(`"type" is ${describe(game.type)}; expected one of ${GAME_TYPES.join(', ')}`);
+  }
+  if (typeof game.version === 'number') {
+    problems.push(`"version" is the number ${game.version}; quote it in YAML so it stays a string (e.g. version: "1.0")`);
+  } else if (!isNonEmptyString(game.version)) {
+    problems.push('"version" is required');
+  }
+  if (typeof game.description !== 'string') problems.push('"description" must be a string');
+  if (!isNonEmptyString(game.thumbnail)) {
+    problems.push('"thumbnail" is required');
+  } else if (!game.thumbnail.startsWith('/')) {
+    problems.push(`"thumbnail" ${describe(game.thumbnail)} must be a site path starting with "/"`);
+  }
+  if (game.thumbnailWidths !== undefined
+    && (!Array.isArray(game.thumbnailWidths) || !game.thumbnailWidths.every((w) => Number.isInteger(w) && w > 0))) {
+    problems.push('"thumbnailWidths" must be a list of pixel widths');
+  }
+  if (typeof game.playable !== 'boolean') {
+    problems.push(`"playable" must be true or false, got ${describe(game.playable)}`);
+  }
+  if (!isNonEmptyString(game.lastUpdated) || !DATE_PATTERN.test(game.lastUpdated)) {
+    problems.push(`"lastUpdated" ${describe(game.lastUpdated)} must be an ISO date (YYYY-MM-DD)`);
+  }
+  if (game.type === 'download-only' && game.playable === true) {
+    problems.push('"download-only" games cannot be playable');
+  }
+  if (game.entryPoint !== undefined && (!isPlainFileName(game.entryPoint) || !game.entryPoint.toLowerCase().endsWith('.html'))) {
+    problems.push(`"entryPoint" ${describe(game.entryPoint)} must be a root-level .html file name`);
+  } else if (game.playable === true && game.entryPoint === undefined) {
+    problems.push('"entryPoint" is required for playable games');
+  }
+
+  if (game.headers !== undefined && !HEADER_PROFILE_NAMES.includes(game.headers)) {
+    problems.push(`"headers" is ${describe(game.headers)}; expected one of ${HEADER_PROFILE_NAMES.join(', ')}`);
+  }
+  if (game.renpyVersion !== undefined && (typeof game.renpyVersion !== 'string' || !RENPY_VERSION_PATTERN.test(game.renpyVersion))) {
+    problems.push(`"renpyVersion" is ${describe(game.renpyVersion)}; expected a Ren'Py version like "8.5.2"`);
+  }
+  if (game.launchMode !== undefined && !LAUNCH_MODES.includes(game.launchMode)) {
+    problems.push(`"launchMode" is ${describe(game.launchMode)}; expected one of ${LAUNCH_MODES.join(', ')}`);
+  }
+  if (game.display !== undefined && (typeof game.display !== 'string' || !DISPLAY_PATTERN.test(game.display))) {
+    problems.push(`"display" is ${describe(game.display)}; expected fill, an aspect ratio like "16:9" or a resolution like "1280x720"`);
+  }
+  if (game.tags !== undefined && (!Array.isArray(game.tags) || !game.tags.every(isNonEmptyString))) {
+    problems.push('"tags" must be a list of strings');
+  }
+
+  if (game.downloads !== undefined) {
+    if (!Array.isArray(game.downloads)) {
+      problems.push('"downloads" must be a list');
+    } else {
+      const platforms = new Set();
+      game.downloads.forEach((d, i) => {
+        const where = `downloads[${i}]`;
+        if (d === null || typeof d !== 'object') {
+          problems.push(`${where} must be an object with platform, file, size and sha256`);
+          return;
+        }
+        if (!isNonEmptyString(d.platform)) problems.push(`${where}.platform is required`);
+        else if (platforms.has(d.platform)) problems.push(`${where}: platform "${d.platform}" is listed twice`);
+        else platforms.add(d.platform);
+        if (!isPlainFileName(d.file)) problems.push(`${where}.file ${describe(d.file)} must be a file name in downloads/<id>/`);
+        if (!Number.isInteger(d.size) || d.size < 0) problems.push(`${where}.size must be a byte count`);
+        if (typeof d.sha256 !== 'string' || !SHA256_PATTERN.test(d.sha256)) problems.push(`${where}.sha256 must be a 64-character hex digest`);
+      });
+    }
+  }
+
+  if (game.media !== undefined) {
+    if (!Array.isArray(game.media)) {
+      problems.push('"media" must be a list');
+    } else {
+      game.media.forEach((m, i) => {
+        const where = `media[${i}]`;
+        if (m === null || typeof m !== 'object') {
+          problems.push(`${where} must be an object with type and src`);
+          return;
+        }
+        if (!MEDIA_TYPES.includes(m.type)) problems.push(`${where}.type is ${describe(m.type)}; expected one of ${MEDIA_TYPES.join(', ')}`);
+        for (const key of ['src', 'preview', 'poster']) {
+          if (key !== 'src' && m[key] === undefined) continue;
+          if (!isNonEmptyString(m[key]) || !m[key].startsWith('/')) problems.push(`${where}.${key} must be a site path starting with "/"`);
+        }
+        for (const key of ['width', 'height']) {
+          if (m[key] !== undefined && !(Number.isInteger(m[key]) && m[key] > 0)) problems.push(`${where}.${key} must be a pixel size`);
+        }
+        if (m.alt !== undefined && typeof m.alt !== 'string') problems.push(`${where}.alt must be text`);
+      });
+    }
+  }
+
+  if (game.versions !== undefined) {
+    if (!Array.isArray(game.versions)) {
+      problems.push('"versions" must be a list');
+    } else {
+      const seen = new Set();
+      game.versions.forEach((v, i) => {
+        const where = `versions[${i}]`;
+        if (v === null || typeof v !== 'object') {
+          problems.push(`${where} must be an object with version, entryPoint and date`);
+          return;
+        }
+        if (!isNonEmptyString(v.version)) problems.push(`${where}.version must be a string`);
+        else if (seen.has(v.version)) problems.push(`${where}: version ${v.version} is listed twice`);
+        else seen.add(v.version);
+        if (!isPlainFileName(v.entryPoint)) problems.push(`${where}.entryPoint must be a root-level .html file name`);
+        if (!isNonEmptyString(v.date) || !DATE_PATTERN.test(v.date)) problems.push(`${where}.date must be an ISO date (YYYY-MM-DD)`);
+        if (v.changelog !== undefined && !isNonEmptyString(v.changelog)) problems.push(`${where}.changelog must be non-empty text`);
+      });
+      if (isNonEmptyString(game.version) && game.versions.length > 0 && !seen.has(game.version)) {
+        problems.push(`current version ${game.version} is not in "versions"`);
+      }
+    }
+  }
+}
+
+/**
+ * Check that the files a game entry points to exist under rootDir.
+ * @param {Game} game - An entry that passed validateGame
+ * @param {string} rootDir - Project root (contains play/, public/, downloads/)
+ * @param {string[]} problems
+ */
+function validateGameFiles(game, rootDir, problems) {
+  const gameRoot = path.join(rootDir, 'play', game.id);
+  const rel = (p) => path.relative(rootDir, p);
+
+  if (game.playable && game.entryPoint) {
+    const entryPath = Array.isArray(game.versions)
+      ? path.join(gameRoot, game.version, game.entryPoint)
+      : path.join(gameRoot, game.entryPoint);
+    if (!fs.existsSync(entryPath)) problems.push(`entry point not found: ${rel(entryPath)}`);
+  }
+  for (const v of Array.isArray(game.versions) ? game.versions : []) {
+    if (v.version === game.version) continue;
+    const entryPath = path.join(gameRoot, v.version, v.entryPoint);
+    if (!fs.existsSync(entryPath)) problems.push(`build for version ${v.version} not found: ${rel(entryPath)}`);
+  }
+  const thumbnailPath = path.join(rootDir, 'public', game.thumbnail.replace(/^\//, ''));
+  if (!fs.existsSync(thumbnailPath)) problems.push(`thumbnail not found: ${rel(thumbnailPath)}`);
+  for (const m of Array.isArray(game.media) ? game.media : []) {
+    for (const sitePath of [m.src, m.preview, m.poster].filter(Boolean)) {
+      const filePath = path.join(rootDir, 'public', sitePath.replace(/^\//, ''));
+      if (!fs.existsSync(filePath)) problems.push(`media file not found: ${rel(filePath)}`);
+    }
+  }
+  for (const d of Array.isArray(game.downloads) ? game.downloads : []) {
+    const filePath = path.join(rootDir, 'downloads', game.id, d.file);
+    if (!fs.existsSync(filePath)) problems.push(`download for ${d.platform} not found: ${rel(filePath)}`);
+  }
+}
+
+/**
+ * Validate parsed games.yaml data.
+ * @param {unknown} data - Result of yaml.parse
+ * @param {{ rootDir?: string }} [options] - When rootDir is given, also check that
+ *   entry points, thumbnails and downloads exist on disk
+ * @returns {ValidationError[]} Empty when valid
+ */
+export function validateGamesData(data, options = {}) {
+  /** @type {ValidationError[]} */
+  const errors = [];
+  const games = /** @type {any} */ (data)?.games;
+  if (!Array.isArray(games)) {
+    errors.push({ gameId: null, message: 'games.yaml must contain a top-level "games" list' });
+    return errors;
+  }
+
+  const seenIds = new Map();
+  games.forEach((game, index) => {
+    let label = isNonEmptyString(game?.id) ? game.id : `games[${index}]`;
+    if (game === null || typeof game !== 'object' || Array.isArray(game)) {
+      errors.push({ gameId: label, message: 'entry must be an object' });
+      return;
+    }
+    const problems = [];
+    validateGame(game, problems);
+    if (isNonEmptyString(game.id)) {
+      if (seenIds.has(game.id)) {
+        label = `${game.id} (games[${index}])`;
+        problems.push(`duplicate id (also used by games[${seenIds.get(game.id)}])`);
+      } else {
+        seenIds.set(game.id, index);
+      }
+    }
+    if (problems.length === 0 && options.rootDir) {
+      validateGameFiles(game, options.rootDir, problems);
+    }
+    for (const message of problems) errors.push({ gameId: label, message });
+  });
+  return errors;
+}
+
+/**
+ * One line per error, grouped by game, for build output and the validate command.
+ * @param {ValidationError[]} errors
+ * @returns {string}
+ */
+export function formatValidationErrors(errors) {
+  const lines = [];
+  let current;
+  for (const { gameId, message } of errors) {
+    if (gameId !== current) {
+      lines.push(gameId === null ? 'games.yaml:' : `${gameId}:`);
+      current = gameId;
+    }
+    lines.push(`  - ${message}`);
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,199 @@
+/**
+ * HTTP header profiles for game files under /play/<id>/, chosen per game with the
+ * `headers` field in games.yaml. add-game detects the profile from the export; the
+ * dev server applies it (astro.config.mjs) and the build writes it out as
+ * dist/_headers (Netlify / Cloudflare Pages) and dist/nginx-headers.conf; deploy.mjs
+ * also renders them for Caddy.
+ */
+
+/**
+ * @typedef {object} HeaderRule
+ * @property {string} suffix - File name ending the rule applies to, e.g. ".wasm.br"
+ * @property {Record<string, string>} headers
+ *
+ * @typedef {object} HeaderProfile
+ * @property {string} description
+ * @property {Record<string, string>} headers - Sent with every file of the game
+ * @property {HeaderRule[]} rules - Extra headers by file suffix; the longest matching suffix wins
+ */
+
+const WASM = { suffix: '.wasm', headers: { 'Content-Type': 'application/wasm' } };
+
+/**
+ * Unity's compressed build files: Content-Encoding plus the type of the file inside.
+ * @param {string} ext - ".br" or ".gz"
+ * @param {string} encoding - "br" or "gzip"
+ * @returns {HeaderRule[]}
+ */
+function unityCompressed(ext, encoding) {
+  return [
+    { suffix: `.js${ext}`, headers: { 'Content-Type': 'application/javascript', 'Content-Encoding': encoding } },
+    { suffix: `.wasm${ext}`, headers: { 'Content-Type': 'application/wasm', 'Content-Encoding': encoding } },
+    { suffix: `.data${ext}`, headers: { 'Content-Type': 'application/octet-stream', 'Content-Encoding': encoding } },
+    { suffix: `.symbols.json${ext}`, headers: { 'Content-Type': 'application/octet-stream', 'Content-Encoding': encoding } },
+  ];
+}
+
+/** @type {Record<string, HeaderProfile>} */
+export const HEADER_PROFILES = {
+  default: {
+    description: 'Plain HTML5 games',
+    headers: {},
+    rules: [WASM],
+  },
+  godot: {
+    description: 'Godot web exports: cross-origin isolation for SharedArrayBuffer (threads)',
+    headers: {
+      'Cross-Origin-Opener-Policy': 'same-origin',
+      'Cross-Origin-Embedder-Policy': 'require-corp',
+    },
+    rules: [WASM, { suffix: '.pck', headers: { 'Content-Type': 'application/octet-stream' } }],
+  },
+  unity: {
+    description: 'Unity WebGL builds with Brotli or gzip compressed files',
+    headers: {},
+    rules: [WASM, ...unityCompressed('.br', 'br'), ...unityCompressed('.gz', 'gzip')],
+  },
+  construct: {
+    description: 'Construct 2/3 exports (WebAssembly and web app manifest types)',
+    headers: {},
+    rules: [
+      WASM,
+      { suffix: 'appmanifest.json', headers: { 'Content-Type': 'application/manifest+json' } },
+      { suffix: '.webmanifest', headers: { 'Content-Type': 'application/manifest+json' } },
+    ],
+  },
+};
+
+export const HEADER_PROFILE_NAMES = Object.keys(HEADER_PROFILES);
+
+/**
+ * Headers to send for one file of a game.
+ * @param {string | undefined} profileName - The game's `headers` field (default when absent)
+ * @param {string} filePath - Path or URL of the file; only the name matters
+ * @returns {Record<string, string>}
+ */
+export function headersForFile(profileName, filePath) {
+  const profile = HEADER_PROFILES[profileName ?? 'default'] ?? HEADER_PROFILES.default;
+  const name = filePath.split('/').pop().toLowerCase();
+  const rule = profile.rules
+    .filter((r) => name.endsWith(r.suffix))
+    .sort((a, b) => b.suffix.length - a.suffix.length)[0];
+  return { ...profile.headers, ...(rule?.headers ?? {}) };
+}
+
+/**
+ * Pick a profile from the files of an export.
+ * @param {string[]} filePaths - Paths relative to the game root, "/"-separated
+ * @returns {string} A key of HEADER_PROFILES
+ */
+export function detectHeaderProfile(filePaths) {
+  const files = filePaths.map((p) => p.toLowerCase());
+  const rootFiles = files.filter((p) => !p.includes('/'));
+  if (rootFiles.some((p) => p.endsWith('.pck')) && rootFiles.some((p) => p.endsWith('.wasm'))) {
+    return 'godot';
+  }
+  if (files.some((p) => /^build\/(.+\.loader\.js|unityloader\.js)$/.test(p))) {
+    return 'unity';
+  }
+  if (files.some((p) => /(^|\/)(c3runtime|c2runtime)\.js$/.test(p))) {
+    return 'construct';
+  }
+  return 'default';
+}
+
+/**
+ * Games whose profile adds anything beyond the default.
+ * @param {{ id: string, headers?: string }[]} games
+ */
+function gamesWithProfiles(games) {
+  return games.filter((g) => g.headers && g.headers !== 'default' && HEADER_PROFILES[g.headers]);
+}
+
+/**
+ * dist/_headers in the Netlify / Cloudflare Pages format.
+ * @param {{ id: string, headers?: string }[]} games
+ * @returns {string}
+ */
+export function renderHeadersFile(games) {
+  const blocks = ['# Generated by the build from the `headers` profiles in games.yaml'];
+  const block = (pattern, headers) => {
+    if (Object.keys(headers).length === 0) return;
+    blocks.push([pattern, ...Object.entries(headers).map(([k, v]) => `  ${k}: ${v}`)].join('\n'));
+  };
+  for (const rule of HEADER_PROFILES.default.rules) block(`/play/*${rule.suffix}`, rule.headers);
+  for (const game of gamesWithProfiles(games)) {
+    const profile = HEADER_PROFILES[game.headers];
+    block(`/play/${game.id}/*`, profile.headers);
+    for (const rule of profile.rules) block(`/play/${game.id}/*${rule.suffix}`, rule.headers);
+  }
+  return blocks.join('\n\n') + '\n';
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * dist/nginx-headers.conf: one `location` per game with a profile, to include in
+ * the server block next to `location /play/`. Files are served with `root`, so
+ * rootDir is the project directory on the server (the one containing play/).
+ * @param {{ id: string, headers?: string }[]} games
+ * @param {string} rootDir
+ * @returns {string}
+ */
+export function renderNginxInclude(games, rootDir) {
+  const lines = [
+    '# Generated by the build from the `headers` profiles in games.yaml.',
+    '# Include inside the server block: include /path/to/dist/nginx-headers.conf;',
+  ];
+  for (const game of gamesWithProfiles(games)) {
+    const profile = HEADER_PROFILES[game.headers];
+    const addHeaders = (headers, indent) => Object.entries(headers)
+      .filter(([name]) => name !== 'Content-Type')
+      .map(([name, value]) => `${indent}add_header ${name} "${value}" always;`);
+    lines.push('', `# ${game.id} (${game.headers})`, `location ^~ /play/${game.id}/ {`, `    root ${rootDir};`);
+    lines.push(...addHeaders(profile.headers, '    '));
+    for (const rule of profile.rules) {
+      lines.push(`    location ~* ${escapeRegex(rule.suffix)}$ {`);
+      // add_header in a nested location replaces the outer ones, so repeat them
+      lines.push(...addHeaders({ ...profile.headers, ...rule.headers }, '        '));
+      if (rule.headers['Content-Type']) lines.push('        types { }', `        default_type ${rule.headers['Content-Type']};`);
+      if (rule.headers['Content-Encoding']) lines.push('        gzip off;');
+      lines.push('    }');
+    }
+    lines.push('}');
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Caddyfile `header` directives for the games with a profile, to go inside the
+ * site block (used by deploy.mjs). Caddy's file_server keeps a Content-Type that
+ * is already set, so the rules' types win.
+ * @param {{ id: string, headers?: string }[]} games
+ * @param {string} [indent] - Indentation of the site block's directives
+ * @returns {string}
+ */
+export function renderCaddyHeaders(games, indent = '\t') {
+  const lines = [];
+  const block = (matcher, headers) => {
+    const entries = Object.entries(headers);
+    if (entries.length === 0) return;
+    lines.push(`${indent}header ${matcher} {`);
+    lines.push(...entries.map(([name, value]) => `${indent}\t${name} "${value}"`));
+    lines.push(`${indent}}`);
+  };
+  let matcherCount = 0;
+  for (const game of gamesWithProfiles(games)) {
+    const profile = HEADER_PROFILES[game.headers];
+    lines.push(`${indent}# ${game.id} (${game.headers})`);
+    block(`/play/${game.id}/*`, profile.headers);
+    for (const rule of profile.rules) {
+      const name = `@headers${++matcherCount}`;
+      lines.push(`${indent}${name} path_regexp (?i)^/play/${escapeRegex(game.id)}/.*${escapeRegex(rule.suffix)}$`);
+      block(name, rule.headers);
+    }
+  }
+  return lines.length > 0 ? lines.join('\n') + '\n' : '';
+}
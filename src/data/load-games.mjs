@@ -1,22 +1,32 @@
 /**
  * Load games catalog from games.yaml at build time.
- * Used by Astro pages; scripts read/write games.yaml directly.
+ * Used by Astro pages; parsed with readMetadata() like in the scripts.
  * Resolve from project root (cwd) so the file is found in both dev and build;
  * when Vite bundles for build, __dirname can point into dist/ and miss the file.
+ * The catalog is checked against game-schema.mjs (including that entry points,
+ * thumbnails and downloads exist), so a broken entry fails the build instead of
+ * producing a broken page.
  */
-import fs from 'fs';
 import path from 'path';
-import yaml from 'yaml';
+import { validateGamesData, formatValidationErrors } from './game-schema.mjs';
+import { readMetadata } from '../../scripts/games-metadata.mjs';
 
 const projectRoot = process.cwd();
 const GAMES_FILE = path.join(projectRoot, 'src', 'data', 'games.yaml');
 
+/**
+ * @returns {import('./game-schema.mjs').GamesData}
+ */
 function load() {
-  if (!fs.existsSync(GAMES_FILE)) {
-    return { games: [] };
+  const data = readMetadata(GAMES_FILE);
+  const errors = validateGamesData(data, { rootDir: projectRoot });
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid ${path.relative(projectRoot, GAMES_FILE)} (run "npm run validate-games" to re-check):\n` +
+      formatValidationErrors(errors)
+    );
   }
-  const raw = fs.readFileSync(GAMES_FILE, 'utf-8');
-  return yaml.parse(raw) || { games: [] };
+  return data;
 }
 
 export const gamesData = load();
@@ -0,0 +1,34 @@
+/**
+ * JSON Feed 1.1 of game releases and updates (see utils/feed.ts).
+ */
+import type { APIRoute } from 'astro';
+import { gamesData } from '../data/load-games.mjs';
+import { FEED_TITLE, FEED_DESCRIPTION, feedItems, feedTimestamp } from '../utils/feed';
+import { absoluteUrl } from '../utils/url';
+
+export const GET: APIRoute = ({ site }) => {
+  const base = (import.meta.env.BASE_URL || '/').replace(/\/$/, '');
+  const url = (sitePath: string) => absoluteUrl(sitePath, site, base);
+
+  const feed = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: FEED_TITLE,
+    description: FEED_DESCRIPTION,
+    home_page_url: url('/'),
+    feed_url: url('/feed.json'),
+    items: feedItems(gamesData.games).map((item) => ({
+      id: `${url(item.path)}#${encodeURIComponent(item.version)}`,
+      url: url(item.path),
+      title: item.title,
+      summary: item.description,
+      content_text: `${item.description}\n\nVersion ${item.version}`,
+      image: url(item.thumbnail),
+      date_published: feedTimestamp(item.date),
+      tags: item.tags.length > 0 ? item.tags : undefined,
+      _lofi_lobby: { game: item.gameId, version: item.version },
+    })),
+  };
+  return new Response(JSON.stringify(feed, null, 2) + '\n', {
+    headers: { 'Content-Type': 'application/feed+json; charset=utf-8' },
+  });
+};
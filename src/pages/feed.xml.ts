@@ -0,0 +1,41 @@
+/**
+ * Atom feed of game releases and updates (see utils/feed.ts).
+ */
+import type { APIRoute } from 'astro';
+import { gamesData } from '../data/load-games.mjs';
+import { FEED_TITLE, FEED_DESCRIPTION, feedItems, feedTimestamp } from '../utils/feed';
+import { absoluteUrl } from '../utils/url';
+import { escapeXml } from '../utils/xml.mjs';
+
+export const GET: APIRoute = ({ site }) => {
+  const base = (import.meta.env.BASE_URL || '/').replace(/\/$/, '');
+  const url = (sitePath: string) => absoluteUrl(sitePath, site, base);
+  const items = feedItems(gamesData.games);
+  const updated = items.length > 0 ? feedTimestamp(items[0].date) : new Date().toISOString();
+
+  const entries = items.map((item) => {
+    const link = url(item.path);
+    const content = `<p><img src="${escapeXml(url(item.thumbnail))}" alt="" /></p><p>${escapeXml(item.description)}</p><p>Version ${escapeXml(item.version)}</p>`;
+    return `  <entry>
+    <id>${escapeXml(`${link}#${encodeURIComponent(item.version)}`)}</id>
+    <title>${escapeXml(item.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(link)}" />
+    <updated>${feedTimestamp(item.date)}</updated>
+    <summary>${escapeXml(item.description)}</summary>
+    <content type="html">${escapeXml(content)}</content>
+${item.tags.map((tag) => `    <category term="${escapeXml(tag)}" />\n`).join('')}  </entry>`;
+  });
+
+  const body = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(url('/'))}</id>
+  <title>${escapeXml(FEED_TITLE)}</title>
+  <subtitle>${escapeXml(FEED_DESCRIPTION)}</subtitle>
+  <link rel="alternate" type="text/html" href="${escapeXml(url('/'))}" />
+  <link rel="self" type="application/atom+xml" href="${escapeXml(url('/feed.xml'))}" />
+  <updated>${updated}</updated>
+${entries.join('\n')}
+</feed>
+`;
+  return new Response(body, { headers: { 'Content-Type': 'application/atom+xml; charset=utf-8' } });
+};
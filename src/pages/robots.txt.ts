@@ -0,0 +1,17 @@
+/**
+ * robots.txt: everything may be crawled except the raw game builds and
+ * downloads; points crawlers at the sitemap when the site URL is known.
+ */
+import type { APIRoute } from 'astro';
+import { absoluteUrl } from '../utils/url';
+
+export const GET: APIRoute = ({ site }) => {
+  const base = (import.meta.env.BASE_URL || '/').replace(/\/$/, '');
+  const lines = [
+    'User-agent: *',
+    `Disallow: ${base}/play/`,
+    `Disallow: ${base}/downloads/`,
+  ];
+  if (site) lines.push('', `Sitemap: ${absoluteUrl('/sitemap.xml', site, base)}`);
+  return new Response(`${lines.join('\n')}\n`, { headers: { 'Content-Type': 'text/plain; charset=utf-8' } });
+};
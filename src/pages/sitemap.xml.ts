@@ -0,0 +1,28 @@
+/**
+ * sitemap.xml: the lobby and every game's detail page, with the date the game
+ * was last updated. Sitemaps need absolute URLs, so build with SITE_URL set.
+ */
+import type { APIRoute } from 'astro';
+import { gamesData } from '../data/load-games.mjs';
+import { absoluteUrl } from '../utils/url';
+import { escapeXml } from '../utils/xml.mjs';
+
+export const GET: APIRoute = ({ site }) => {
+  const base = (import.meta.env.BASE_URL || '/').replace(/\/$/, '');
+  const url = (sitePath: string) => absoluteUrl(sitePath, site, base);
+  const games = gamesData.games;
+  const newest = games.map((g) => g.lastUpdated).sort().at(-1);
+
+  const pages = [
+    { loc: url('/'), lastmod: newest },
+    ...games.map((game) => ({ loc: url(`/games/${game.id}/`), lastmod: game.lastUpdated })),
+  ];
+  const body = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${pages.map((p) => `  <url>
+    <loc>${escapeXml(p.loc)}</loc>
+${p.lastmod ? `    <lastmod>${p.lastmod}</lastmod>\n` : ''}  </url>`).join('\n')}
+</urlset>
+`;
+  return new Response(body, { headers: { 'Content-Type': 'application/xml; charset=utf-8' } });
+};
@@ -0,0 +1,54 @@
+/**
+ * Entries of the release feeds (/feed.xml and /feed.json): one per installed
+ * version in a game's `versions` history, or a single entry for the current
+ * version (dated lastUpdated) when a game has no history.
+ */
+import type { Game } from '../data/game-schema.mjs';
+
+export const FEED_TITLE = 'Lofi Lobby releases';
+export const FEED_DESCRIPTION = 'New games and updates on Lofi Lobby';
+/** Newest entries kept in the feeds */
+export const FEED_LIMIT = 50;
+
+export interface FeedItem {
+  gameId: string;
+  title: string;
+  /** Site path of the game's detail page */
+  path: string;
+  version: string;
+  /** ISO date (YYYY-MM-DD) */
+  date: string;
+  description: string;
+  /** Site path of the cover */
+  thumbnail: string;
+  tags: string[];
+}
+
+export function feedItems(games: Game[], limit = FEED_LIMIT): FeedItem[] {
+  const items = games.flatMap((game) => {
+    const releases = game.versions?.length
+      ? game.versions.map((v) => ({ version: String(v.version), date: v.date }))
+      : [{ version: String(game.version), date: game.lastUpdated }];
+    return releases.map((release, i) => ({
+      gameId: game.id,
+      title: i === 0 ? `${game.name} ${release.version} released` : `${game.name} updated to ${release.version}`,
+      path: `/games/${game.id}/`,
+      version: release.version,
+      date: release.date,
+      description: game.description,
+      thumbnail: game.thumbnail,
+      tags: game.tags ?? [],
+    }));
+  });
+  // Newest first; on the same day, later entries (a game's newer versions) first
+  return items
+    .map((item, index) => ({ item, index }))
+    .sort((a, b) => b.item.date.localeCompare(a.item.date) || b.index - a.index)
+    .map(({ item }) => item)
+    .slice(0, limit);
+}
+
+/** RFC 3339 timestamp for a YYYY-MM-DD date (midnight UTC). */
+export function feedTimestamp(date: string): string {
+  return `${date}T00:00:00Z`;
+}
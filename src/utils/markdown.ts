@@ -0,0 +1,94 @@
+/**
+ * Small Markdown renderer for changelogs: headings, paragraphs, bullet and
+ * numbered lists, fenced code, `code`, **bold**, *italic* and http(s) links.
+ * The text comes from uploaded games, so all HTML in it is escaped.
+ */
+
+function escapeHtml(text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function renderInline(text: string): string {
+  // Code spans first so their contents are left alone
+  return text
+    .split(/(`[^`]+`)/)
+    .map((part) => {
+      if (/^`[^`]+`$/.test(part)) return `<code>${escapeHtml(part.slice(1, -1))}</code>`;
+      return escapeHtml(part)
+        .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, '<a href="$2" rel="nofollow noopener">$1</a>')
+        .replace(/\*\*(.+?)\*\*|__(.+?)__/g, (_, a, b) => `<strong>${a ?? b}</strong>`)
+        .replace(/(^|[^\w*])\*(?!\s)(.+?)\*(?!\w)|(^|\W)_(?!\s)(.+?)_(?!\w)/g, (_, p1, a, p2, b) => `${p1 ?? p2}<em>${a ?? b}</em>`);
+    })
+    .join('');
+}
+
+/**
+ * @param headingOffset - Added to heading levels, so a "## Fixed" inside a
+ *   changelog section fits under the page's own headings (capped at h6)
+ */
+export function renderMarkdown(markdown: string, headingOffset = 2): string {
+  const lines = markdown.replace(/\r\n/g, '\n').split('\n');
+  const html: string[] = [];
+  let paragraph: string[] = [];
+  let list = null as { tag: 'ul' | 'ol'; items: string[] } | null;
+
+  const flushParagraph = () => {
+    if (paragraph.length) html.push(`<p>${renderInline(paragraph.join(' '))}</p>`);
+    paragraph = [];
+  };
+  const flushList = () => {
+    if (list) html.push(`<${list.tag}>${list.items.map((item) => `<li>${renderInline(item)}</li>`).join('')}</${list.tag}>`);
+    list = null;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const fence = line.match(/^\s*(```|~~~)/);
+    if (fence) {
+      flushParagraph();
+      flushList();
+      const code: string[] = [];
+      while (++i < lines.length && !lines[i].trimStart().startsWith(fence[1])) code.push(lines[i]);
+      html.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+    const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      flushParagraph();
+      flushList();
+      const level = Math.min(heading[1].length + headingOffset, 6);
+      html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+      continue;
+    }
+    const item = line.match(/^\s*([-*+]|\d+[.)])\s+(.*)$/);
+    if (item) {
+      flushParagraph();
+      const tag = /\d/.test(item[1]) ? 'ol' : 'ul';
+      if (!list || list.tag !== tag) {
+        flushList();
+        list = { tag, items: [] };
+      }
+      list.items.push(item[2]);
+      continue;
+    }
+    if (line.trim() === '') {
+      flushParagraph();
+      flushList();
+      continue;
+    }
+    // Indented text after a list item continues it
+    if (list && /^\s+/.test(line)) {
+      list.items[list.items.length - 1] += ` ${line.trim()}`;
+      continue;
+    }
+    flushList();
+    paragraph.push(line.trim());
+  }
+  flushParagraph();
+  flushList();
+  return html.join('\n');
+}
@@ -0,0 +1,48 @@
+/**
+ * Site path of a game's playable entry HTML. Games with a `versions` history are
+ * unpacked per version (play/<id>/<version>/); older entries without one live
+ * directly in play/<id>/.
+ */
+export function playPath(
+  game: { id: string; version: string; entryPoint?: string; versions?: unknown[] },
+  version: { version: string; entryPoint?: string } = game
+): string {
+  const entryPoint = version.entryPoint ?? 'index.html';
+  if (!game.versions) {
+    return `/play/${game.id}/${entryPoint}`;
+  }
+  return `/play/${game.id}/${encodeURIComponent(String(version.version))}/${entryPoint}`;
+}
+
+type LaunchGame = { id: string; version: string; entryPoint?: string; versions?: unknown[]; launchMode?: string; headers?: string };
+
+/**
+ * How a game is opened: `embed` hosts it on /games/<id>/play/ with the lobby's
+ * controls, `direct` links to the entry HTML. Godot games default to direct: they
+ * need cross-origin isolation (COOP/COEP), which the player page does not have.
+ */
+export function launchMode(game: LaunchGame): 'embed' | 'direct' {
+  if (game.launchMode === 'embed' || game.launchMode === 'direct') return game.launchMode;
+  return game.headers === 'godot' ? 'direct' : 'embed';
+}
+
+/** Site path that cards and the Play button open. */
+export function launchPath(game: LaunchGame): string {
+  return launchMode(game) === 'embed' ? `/games/${game.id}/play/` : playPath(game);
+}
+
+export type PlayerDisplay =
+  | { mode: 'fill' }
+  | { mode: 'aspect'; width: number; height: number }
+  | { mode: 'fixed'; width: number; height: number };
+
+/**
+ * Player frame size from the game's `display` field: "fill", an aspect ratio
+ * ("4:3") or a fixed resolution ("1280x720"). Defaults to 16:9.
+ */
+export function parseDisplay(display: string | undefined): PlayerDisplay {
+  if (display === 'fill') return { mode: 'fill' };
+  const match = display?.match(/^(\d+)([:x])(\d+)$/);
+  if (!match) return { mode: 'aspect', width: 16, height: 9 };
+  return { mode: match[2] === 'x' ? 'fixed' : 'aspect', width: Number(match[1]), height: Number(match[3]) };
+}
@@ -0,0 +1,83 @@
+/**
+ * Metadata for search engines and link previews: the site-wide defaults used by
+ * Layout.astro, the cover used as a game's share image, and its VideoGame
+ * JSON-LD (https://schema.org/VideoGame).
+ */
+import type { Game } from '../data/game-schema.mjs';
+
+export const SITE_NAME = 'Lofi Lobby';
+export const DEFAULT_DESCRIPTION = 'Lofi Lobby - A portfolio of indie games';
+
+export interface ShareImage {
+  /** Site path */
+  path: string;
+  width?: number;
+  height?: number;
+  alt: string;
+}
+
+const PLATFORM_NAMES: Record<string, string> = {
+  windows: 'Windows',
+  mac: 'macOS',
+  macos: 'macOS',
+  linux: 'Linux',
+  android: 'Android',
+};
+
+/**
+ * The game's cover as a share image. Placeholder SVG covers are left out: link
+ * previews do not render SVG.
+ */
+export function shareImage(game: Game): ShareImage | undefined {
+  if (!game.thumbnail || game.thumbnail.endsWith('.svg')) return undefined;
+  const width = game.thumbnailWidths?.length ? Math.max(...game.thumbnailWidths) : undefined;
+  return {
+    path: game.thumbnail,
+    width,
+    height: width ? Math.round((width * 9) / 16) : undefined,
+    alt: `${game.name} cover`,
+  };
+}
+
+/**
+ * VideoGame structured data for a game's detail page.
+ * @param url - Absolute (or site) URL of a site path
+ */
+export function gameJsonLd(game: Game, url: (sitePath: string) => string): Record<string, unknown> {
+  const platforms = [
+    ...(game.playable ? ['Web browser'] : []),
+    ...(game.downloads ?? []).map((d) => PLATFORM_NAMES[d.platform] ?? d.platform),
+  ];
+  const image = shareImage(game);
+  const screenshots = (game.media ?? []).filter((m) => m.type === 'image').map((m) => url(m.src));
+  const trailer = (game.media ?? []).find((m) => m.type === 'video');
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'VideoGame',
+    name: game.name,
+    description: game.description,
+    url: url(`/games/${game.id}/`),
+    ...(image ? { image: url(image.path) } : {}),
+    ...(screenshots.length ? { screenshot: screenshots } : {}),
+    ...(trailer ? {
+      trailer: {
+        '@type': 'VideoObject',
+        name: `${game.name} trailer`,
+        description: trailer.alt || game.description,
+        contentUrl: url(trailer.src),
+        thumbnailUrl: url(trailer.poster ?? trailer.preview ?? game.thumbnail),
+        uploadDate: game.lastUpdated,
+      },
+    } : {}),
+    softwareVersion: String(game.version),
+    dateModified: game.lastUpdated,
+    applicationCategory: 'Game',
+    ...(game.tags?.length ? { genre: game.tags, keywords: game.tags.join(', ') } : {}),
+    ...(platforms.length ? { gamePlatform: [...new Set(platforms)] } : {}),
+  };
+}
+
+/** JSON for a <script type="application/ld+json">; "<" is escaped so the text cannot close the script. */
+export function jsonLdScript(data: Record<string, unknown>): string {
+  return JSON.stringify(data).replace(/</g, '\\u003c');
+}
@@ -0,0 +1,26 @@
+/**
+ * Responsive sources for a game's cover. add-game writes cover-<width>.jpg and
+ * cover-<width>.webp next to the largest JPEG (the `thumbnail` path) and lists the
+ * widths in `thumbnailWidths`. Other thumbnails (placeholders, hand-added images)
+ * have no variants.
+ */
+export interface ThumbnailSources {
+  src: string;
+  /** Empty when the thumbnail has no size variants */
+  jpegSrcset: string;
+  webpSrcset: string;
+}
+
+export function thumbnailSources(
+  thumbnail: string,
+  widths: number[] | undefined,
+  resolve: (sitePath: string) => string
+): ThumbnailSources {
+  const match = thumbnail.match(/^(.*\/cover)-\d+\.jpg$/);
+  if (!match || !widths?.length) {
+    return { src: resolve(thumbnail), jpegSrcset: '', webpSrcset: '' };
+  }
+  const srcset = (ext: string) =>
+    widths.map((w) => `${resolve(`${match[1]}-${w}.${ext}`)} ${w}w`).join(', ');
+  return { src: resolve(thumbnail), jpegSrcset: srcset('jpg'), webpSrcset: srcset('webp') };
+}
@@ -16,6 +16,16 @@ export function resolveSiteUrl(
   return pathRelativeTo(currentPathname, absolute);
 }
 
+/**
+ * Absolute URL when the site URL is configured (SITE_URL, see astro.config.mjs),
+ * otherwise a root-relative path. Feed readers, crawlers and link previews need
+ * the former to follow links.
+ */
+export function absoluteUrl(sitePath: string, site: URL | undefined, base: string): string {
+  const withBase = `${base}${sitePath.startsWith('/') ? sitePath : `/${sitePath}`}`;
+  return site ? new URL(withBase, site).href : withBase;
+}
+
 /**
  * Return path from current page to target (both as absolute pathnames).
  * e.g. pathRelativeTo('/', '/play/foo/index.html') => 'play/foo/index.html'
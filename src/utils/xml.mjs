@@ -0,0 +1,14 @@
+/**
+ * Escaping for text and attribute values in generated XML (the Atom feed, the
+ * sitemap and placeholder cover SVGs). Plain .mjs so scripts can import it too.
+ */
+
+const XML_ENTITIES = { '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' };
+
+/**
+ * @param {unknown} text
+ * @returns {string}
+ */
+export function escapeXml(text) {
+  return String(text).replace(/[<>&"']/g, (c) => XML_ENTITIES[/** @type {keyof typeof XML_ENTITIES} */ (c)]);
+}